@@ -6,14 +6,70 @@ const swaggerJsdoc = require('swagger-jsdoc');
 const logger = require('./config/logger');
 const environment = require('./config/environment');
 const filesRouter = require('./routes/files');
+const adminRouter = require('./routes/admin');
+const tusRouter = require('./routes/tus');
+const usageRouter = require('./routes/usage');
+const trashRouter = require('./routes/trash');
+const namespacesRouter = require('./routes/namespaces');
+const exportRouter = require('./routes/export');
+const auditRouter = require('./routes/audit');
+const metricsRouter = require('./routes/metrics');
+const healthRouter = require('./routes/health');
+const tusUploads = require('./services/tusUploads');
+const retention = require('./services/retention');
+const trash = require('./services/trash');
+const webhooks = require('./services/webhooks');
+const uploadService = require('./services/uploadService');
+const health = require('./services/health');
+const { MAX_UPLOAD_SIZE } = require('./services/uploadPolicies');
+const { storage } = require('./storage');
+const { listKeys } = require('./services/apiKeyStore');
 const errorHandler = require('./middleware/errorHandler');
+const { trackRequests } = require('./middleware/metrics');
 
 const app = express();
 const PORT = environment.port;
+
+app.set('trust proxy', environment.trustProxy);
 const BASE_URL = environment.baseUrl;
 
 logger.info('Starting application', { volumePath: environment.volumePath });
 
+const encryption = storage.getStatus();
+if (encryption.enabled) {
+    logger.info('Encryption at rest enabled', { masterKeyId: encryption.keyId, previousKeyIds: encryption.previousKeyIds });
+}
+if (encryption.missingKeyIds.length > 0) {
+    logger.error('Some stored objects are encrypted with master keys that are not configured and cannot be read', {
+        missingKeyIds: encryption.missingKeyIds,
+        objectsByKeyId: encryption.objectsByKeyId
+    });
+}
+if (!environment.authToken && !listKeys().some(key => key.active)) {
+    logger.warn('No API key can authenticate requests; set AUTH_TOKEN to create the first keys');
+}
+
+const CATEGORY_LABELS = {
+    image: 'Images',
+    audio: 'Audio',
+    video: 'Video',
+    document: 'Documents',
+    spreadsheet: 'Spreadsheets'
+};
+
+const formatSize = (bytes) => (bytes % (1024 * 1024) === 0 ? `${bytes / (1024 * 1024)}MB` : `${bytes} bytes`);
+
+// The documented types and limits come from the upload policies, so they always match the configuration.
+const uploadPolicyLines = Object.entries(environment.uploadPolicies)
+    .map(([category, { maxSize, extensions, retentionSeconds }]) => {
+        if (extensions.length === 0) {
+            return `- **${CATEGORY_LABELS[category]}**: not accepted`;
+        }
+        const retention = retentionSeconds ? `, deleted ${retentionSeconds} seconds after upload by default` : '';
+        return `- **${CATEGORY_LABELS[category]}**: ${extensions.join(', ')} (up to ${formatSize(maxSize)}${retention})`;
+    })
+    .join('\n');
+
 try {
     fs.readdir(path.join(__dirname, '..'), { withFileTypes: true }, (err, entries) => {
         if (err) {
@@ -47,22 +103,36 @@ This API provides endpoints for uploading, downloading, and managing files on th
 
 ### Features
 - **File Upload**: Upload files with automatic UUID filename generation
-- **File Download**: Direct access to uploaded files
-- **File Deletion**: Remove files from the server
+- **File Download**: Direct access to uploaded files, with byte-range support for audio and video seeking
+- **ZIP Export**: \`POST /export\` streams selected files, or a whole namespace, as a ZIP archive with a manifest
+- **File Deletion**: Deleted files go to a trash and can be restored until they are purged
+- **Retention**: Optional per-file expiry and per-category default retention; expired files answer 410 Gone
 - **Authentication**: Bearer token-based security
+- **Health Checks**: \`/healthz\` liveness and \`/readyz\` readiness with storage, disk and dependency checks
+- **Metrics**: Prometheus \`/metrics\` with request, byte, rejection and storage metrics
+- **Audit Log**: Append-only record of uploads, downloads, deletes and refused requests, queryable by admins
 - **File Validation**: Type and size restrictions
+- **Namespaces**: Optional tenant, chat or conversation id on uploads, to list a namespace's files and erase them all with a deletion receipt
+- **Quotas**: Per-client limits on stored bytes and file count, with usage reporting
+- **Rate Limiting**: Token-bucket limits per API client and per IP for uploads, deletes and downloads, and a cap on concurrent uploads (\`429\` with \`Retry-After\`)
+- **Encryption at Rest**: Optional AES-256-GCM envelope encryption with a data key per file, transparent to downloads and byte ranges
+- **Malware Scanning**: Optional clamd scanning; infected files are quarantined and never served
+- **Webhooks**: Signed \`file.uploaded\`, \`file.deleted\`, \`file.restored\` and \`file.expired\` notifications with retries
 
 ### Supported File Types
-- **Images**: JPEG, PNG, GIF, WebP
-- **Documents**: PDF, TXT, JSON, CSV
-- **Spreadsheets**: XLS, XLSX
+${uploadPolicyLines}
 
 ### File Size Limits
-- Maximum file size: 10MB per file
-- One file per request
+- Maximum file size: the limit of the file's category above, ${formatSize(MAX_UPLOAD_SIZE)} at most
+- One file per request (\`POST /upload/batch\` accepts up to ${environment.batchMaxFiles} files, each with its own result)
+- Each API client can be limited in total stored bytes and number of files (\`507 Quota exceeded\`)
+- Larger files can be sent with resumable uploads under \`/uploads/tus\` (tus 1.0)
+- \`POST /upload/from-url\` downloads up to ${formatSize(environment.remoteFetch.maxSize)} from public http(s) URLs
 
 ### Authentication
 All endpoints (except file download) require a Bearer token in the Authorization header.
+Tokens are API keys with scopes (\`upload\`, \`delete\`, \`read\`, \`admin\`); the \`admin\` scope grants all others.
+The optional \`AUTH_TOKEN\` environment variable is a bootstrap key with every scope, meant to create the first API keys and be unset afterwards.
 
 ### Base URL
 \`${BASE_URL}\`
@@ -97,12 +167,38 @@ This interactive documentation allows you to test the API endpoints directly.
             {
                 name: 'File Access',
                 description: 'Operations for accessing and downloading files'
+            },
+            {
+                name: 'Resumable Uploads',
+                description: 'Large uploads that survive interrupted connections (tus 1.0 protocol)'
+            },
+            {
+                name: 'Trash',
+                description: 'Deleted files that can still be restored'
+            },
+            {
+                name: 'Namespaces',
+                description: 'Files grouped by tenant, chat or conversation, listed and erased together'
+            },
+            {
+                name: 'Usage',
+                description: 'Storage usage and quotas of API clients'
+            },
+            {
+                name: 'Monitoring',
+                description: 'Metrics for Prometheus'
+            },
+            {
+                name: 'Administration',
+                description: 'Management of API keys and background jobs'
             }
         ]
     },
     apis: ['./src/routes/*.js'],
 });
 
+app.use(trackRequests);
+
 app.use('/docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec, {
     customSiteTitle: 'File Upload API Documentation',
     customfavIcon: '/favicon.ico',
@@ -116,6 +212,15 @@ app.use('/docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec, {
 }));
 
 app.use('/', filesRouter);
+app.use('/', adminRouter);
+app.use('/', tusRouter);
+app.use('/', usageRouter);
+app.use('/', trashRouter);
+app.use('/', namespacesRouter);
+app.use('/', exportRouter);
+app.use('/', auditRouter);
+app.use('/', metricsRouter);
+app.use('/', healthRouter);
 
 app.use(errorHandler);
 
@@ -123,25 +228,31 @@ const server = app.listen(PORT, () => {
     logger.info('Server started', { port: PORT, swaggerUrl: `${BASE_URL}/docs` });
 });
 
+tusUploads.startExpirySweeper();
+retention.startRetentionSweeper();
+trash.startTrashPurger();
+webhooks.startWebhookWorker();
+uploadService.startScanWorker();
+
 server.on('error', (error) => {
     logger.error('Server error', { error: error.message });
     process.exit(1);
 });
 
-process.on('SIGTERM', () => {
-    logger.info('SIGTERM received, shutting down gracefully');
-    server.close(() => {
-        logger.info('Server closed');
-        process.exit(0);
-    });
-});
+// Readiness fails first, so load balancers stop sending traffic before the server stops accepting it.
+const shutdown = (signal, drainSeconds) => {
+    logger.info(`${signal} received, shutting down gracefully`, { drainSeconds });
+    health.markShuttingDown();
+    setTimeout(() => {
+        server.close(() => {
+            logger.info('Server closed');
+            process.exit(0);
+        });
+    }, drainSeconds * 1000);
+};
 
-process.on('SIGINT', () => {
-    logger.info('SIGINT received, shutting down gracefully');
-    server.close(() => {
-        logger.info('Server closed');
-        process.exit(0);
-    });
-});
+process.on('SIGTERM', () => shutdown('SIGTERM', environment.health.shutdownDrainSeconds));
+
+process.on('SIGINT', () => shutdown('SIGINT', 0));
 
 module.exports = app; 
\ No newline at end of file
@@ -1,12 +1,24 @@
-const path = require('path');
 require('dotenv').config();
+const { loadConfig } = require('./loadConfig');
 
-const environment = {
-  port: process.env.PORT || 3000,
-  baseUrl: process.env.BASE_URL || 'http://localhost:3000',
-  volumePath: process.env.VOLUME_PATH || path.join(__dirname, '../uploads'),
-  authToken: process.env.AUTH_TOKEN,
-  logLevel: process.env.LOG_LEVEL || 'info'
+/**
+ * The service configuration, loaded once at startup from the environment and the optional
+ * CONFIG_FILE (see schema.js for every setting). An invalid configuration stops the process
+ * before anything else starts, listing every problem found.
+ */
+const loadEnvironment = () => {
+  try {
+    return loadConfig(process.env);
+  } catch (error) {
+    if (error.code !== 'INVALID_CONFIG') {
+      throw error;
+    }
+    // The logger is configured from this module, so the problems go straight to stderr.
+    console.error(error.message);
+    process.exit(1);
+  }
 };
 
-module.exports = environment; 
\ No newline at end of file
+const environment = loadEnvironment();
+
+module.exports = environment;
@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+const { SETTINGS, CROSS_CHECKS } = require('./schema');
+
+const BOOLEANS = { true: true, false: false };
+
+/**
+ * Environment variables are strings; parse turns them into the setting's type where possible and
+ * leaves anything else as it is, for check to report. check returns an error message or null.
+ */
+const TYPES = {
+  string: {
+    parse: value => value,
+    check: (value, { values }) => {
+      if (typeof value !== 'string' || value.length === 0) {
+        return 'must be a non-empty string';
+      }
+      return values && !values.includes(value) ? `must be one of: ${values.join(', ')}` : null;
+    }
+  },
+  integer: {
+    parse: value => (/^-?\d+$/.test(value.trim()) ? Number(value) : value),
+    check: (value, { min, max }) => {
+      const range = max !== undefined ? ` between ${min} and ${max}` : ` of at least ${min}`;
+      if (!Number.isSafeInteger(value) || value < min || (max !== undefined && value > max)) {
+        return `must be an integer${min !== undefined ? range : ''}`;
+      }
+      return null;
+    }
+  },
+  boolean: {
+    parse: value => (value.trim().toLowerCase() in BOOLEANS ? BOOLEANS[value.trim().toLowerCase()] : value),
+    check: value => (typeof value === 'boolean' ? null : 'must be true or false')
+  },
+  list: {
+    parse: value => value.split(',').map(item => item.trim()).filter(Boolean),
+    check: value => (Array.isArray(value) && value.every(item => typeof item === 'string') ? null : 'must be a list of strings')
+  },
+  integerList: {
+    parse: value => value.split(',').map(item => item.trim()).filter(Boolean).map(item => (/^\d+$/.test(item) ? Number(item) : item)),
+    check: (value, { min }) => (Array.isArray(value) && value.length > 0 && value.every(item => Number.isSafeInteger(item) && item >= min)
+      ? null
+      : `must be a comma-separated list of integers of at least ${min}`)
+  },
+  // true, a number of proxy hops or a list of trusted addresses/subnets, as accepted by Express.
+  trustProxy: {
+    parse: value => (value in BOOLEANS ? BOOLEANS[value] : /^\d+$/.test(value) ? Number(value) : value),
+    check: value => (typeof value === 'boolean' || Number.isSafeInteger(value) || (typeof value === 'string' && value.length > 0)
+      ? null
+      : 'must be true, false, a number of proxies or a list of addresses')
+  }
+};
+
+const getPath = (object, key) => key.split('.').reduce((value, part) => (value === undefined || value === null ? undefined : value[part]), object);
+
+const setPath = (object, key, value) => {
+  const parts = key.split('.');
+  const parent = parts.slice(0, -1).reduce((node, part) => {
+    node[part] = node[part] || {};
+    return node[part];
+  }, object);
+  parent[parts[parts.length - 1]] = value;
+};
+
+// Keys of a config file that are not settings, so typos are reported instead of silently ignored.
+const unknownKeys = (file, prefix = '') => Object.entries(file).flatMap(([name, value]) => {
+  const key = `${prefix}${name}`;
+  if (SETTINGS.some(setting => setting.key === key)) {
+    return [];
+  }
+  if (value && typeof value === 'object' && !Array.isArray(value) && SETTINGS.some(setting => setting.key.startsWith(`${key}.`))) {
+    return unknownKeys(value, `${key}.`);
+  }
+  return [key];
+});
+
+const readConfigFile = (filePath) => {
+  let content;
+  try {
+    content = JSON.parse(fs.readFileSync(path.resolve(filePath), 'utf8'));
+  } catch (error) {
+    return { errors: [`CONFIG_FILE ${filePath}: ${error.code === 'ENOENT' ? 'file not found' : error.message}`] };
+  }
+  if (!content || typeof content !== 'object' || Array.isArray(content)) {
+    return { errors: [`CONFIG_FILE ${filePath}: must contain a JSON object`] };
+  }
+  return { content, errors: unknownKeys(content).map(key => `${filePath}: unknown setting "${key}"`) };
+};
+
+const describe = (setting, value) => (setting.secret || value === undefined ? '' : ` (got ${JSON.stringify(value)})`);
+
+/**
+ * Builds the configuration from the defaults in schema.js, the optional JSON file named by
+ * CONFIG_FILE and the environment, in increasing order of precedence. Every setting is checked,
+ * and all problems are reported together: the thrown error has code INVALID_CONFIG and an errors
+ * list with one message per problem.
+ */
+const loadConfig = (env = process.env) => {
+  const errors = [];
+  const { content: file = {}, errors: fileErrors = [] } = env.CONFIG_FILE ? readConfigFile(env.CONFIG_FILE) : {};
+  errors.push(...fileErrors);
+
+  const config = {};
+  for (const setting of SETTINGS) {
+    const type = TYPES[setting.type];
+    const raw = env[setting.env];
+    let value = setting.default;
+    let source = null;
+
+    if (raw !== undefined && raw !== '') {
+      value = type.parse(raw);
+      source = setting.env;
+    } else if (getPath(file, setting.key) !== undefined) {
+      value = getPath(file, setting.key);
+      source = `${env.CONFIG_FILE}: ${setting.key}`;
+    }
+
+    if (value === undefined) {
+      if (setting.required) {
+        errors.push(`${setting.env} is required`);
+      }
+      setPath(config, setting.key, undefined);
+      continue;
+    }
+
+    const problem = source && (type.check(value, setting) || (setting.validate && setting.validate(value)));
+    if (problem) {
+      errors.push(`${source} ${problem}${describe(setting, source === setting.env ? raw : value)}`);
+    }
+    setPath(config, setting.key, value);
+  }
+
+  if (errors.length === 0) {
+    errors.push(...CROSS_CHECKS.map(check => check(config)).filter(Boolean));
+  }
+
+  if (errors.length > 0) {
+    const error = new Error(`Invalid configuration:\n${errors.map(message => `  - ${message}`).join('\n')}`);
+    error.code = 'INVALID_CONFIG';
+    error.errors = errors;
+    throw error;
+  }
+  return config;
+};
+
+module.exports = {
+  loadConfig
+};
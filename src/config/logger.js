@@ -1,5 +1,6 @@
 const winston = require('winston');
 const path = require('path');
+const environment = require('./environment');
 
 const logFormat = winston.format.combine(
   winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
@@ -21,7 +22,7 @@ const consoleFormat = winston.format.combine(
 );
 
 const logger = winston.createLogger({
-  level: 'info',
+  level: environment.logLevel,
   format: logFormat,
   defaultMeta: { service: 'bucket-api' },
   transports: [
@@ -0,0 +1,185 @@
+const path = require('path');
+const { decodeMasterKey } = require('../utils/encryption');
+
+const DEFAULT_MAX_FILE_SIZE = 10 * 1024 * 1024;
+
+// Categories of the accepted MIME types (see utils/fileType.js), each with its own upload policy.
+const UPLOAD_CATEGORIES = {
+  image: ['.jpg', '.jpeg', '.png', '.gif', '.webp'],
+  audio: ['.ogg', '.oga', '.opus', '.mp3', '.m4a'],
+  video: ['.mp4', '.m4v'],
+  document: ['.pdf', '.txt', '.json', '.csv'],
+  spreadsheet: ['.xls', '.xlsx']
+};
+
+const LOG_LEVELS = ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'];
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+const rateLimitSettings = (operation, scope, perMinute, burst) => {
+  const name = `RATE_LIMIT_${operation.toUpperCase()}_${scope.toUpperCase()}`;
+  return [
+    { key: `rateLimit.${operation}.${scope}.perMinute`, env: `${name}_PER_MINUTE`, type: 'integer', min: 0, default: perMinute },
+    { key: `rateLimit.${operation}.${scope}.burst`, env: `${name}_BURST`, type: 'integer', min: 1, default: burst }
+  ];
+};
+
+const uploadPolicySettings = (category, extensions) => {
+  const name = category.toUpperCase();
+  return [
+    { key: `uploadPolicies.${category}.maxSize`, env: `UPLOAD_${name}_MAX_SIZE`, type: 'integer', min: 1, default: DEFAULT_MAX_FILE_SIZE },
+    {
+      key: `uploadPolicies.${category}.extensions`,
+      env: `UPLOAD_${name}_EXTENSIONS`,
+      type: 'list',
+      default: extensions,
+      validate: list => (list.every(ext => /^\.[a-z0-9]+$/.test(ext)) ? null : 'must be lowercase extensions starting with a dot, such as .jpg')
+    },
+    { key: `uploadPolicies.${category}.retentionSeconds`, env: `RETENTION_${name}_SECONDS`, type: 'integer', min: 0, default: 0 }
+  ];
+};
+
+/**
+ * Every setting of the service: its path in the config object, the environment variable that sets it,
+ * its type (string, integer, boolean, list, integerList or trustProxy) and its default. Optional
+ * constraints are min/max for integers, values for strings limited to a set, required, secret (the
+ * value is never echoed in errors) and validate(value), which returns an error message or null.
+ * A config file uses the same nested keys as the config object.
+ */
+const SETTINGS = [
+  { key: 'port', env: 'PORT', type: 'integer', min: 1, max: 65535, default: 3000 },
+  {
+    key: 'baseUrl',
+    env: 'BASE_URL',
+    type: 'string',
+    default: 'http://localhost:3000',
+    validate: value => (isHttpUrl(value) ? null : 'must be an http(s) URL')
+  },
+  // Relative to src/, like the local storage root.
+  { key: 'volumePath', env: 'VOLUME_PATH', type: 'string', default: 'uploads' },
+  { key: 'storageBackend', env: 'STORAGE_BACKEND', type: 'string', values: ['local', 'memory', 's3'], default: 'local' },
+  { key: 's3.endpoint', env: 'S3_ENDPOINT', type: 'string', validate: value => (isHttpUrl(value) ? null : 'must be an http(s) URL') },
+  { key: 's3.region', env: 'S3_REGION', type: 'string', default: 'us-east-1' },
+  { key: 's3.bucket', env: 'S3_BUCKET', type: 'string' },
+  { key: 's3.accessKeyId', env: 'S3_ACCESS_KEY_ID', type: 'string', secret: true },
+  { key: 's3.secretAccessKey', env: 'S3_SECRET_ACCESS_KEY', type: 'string', secret: true },
+  { key: 's3.forcePathStyle', env: 'S3_FORCE_PATH_STYLE', type: 'boolean', default: true },
+  { key: 'dataPath', env: 'DATA_PATH', type: 'string', default: path.join(__dirname, '../../data') },
+  { key: 'metadataStore', env: 'METADATA_STORE', type: 'string', values: ['json', 'memory'], default: 'json' },
+  {
+    key: 'authToken',
+    env: 'AUTH_TOKEN',
+    type: 'string',
+    secret: true,
+    // Bootstrap key with every scope, to create the first API keys; it can be unset once they exist.
+    // "undefined" and "null" are what unset variables turn into in templated deployments.
+    validate: value => (/\s/.test(value) || ['undefined', 'null'].includes(value) ? 'must be a token without whitespace, not "undefined" or "null"' : null)
+  },
+  { key: 'keyRotationGraceSeconds', env: 'KEY_ROTATION_GRACE_SECONDS', type: 'integer', min: 0, default: 24 * 60 * 60 },
+  { key: 'signingSecret', env: 'URL_SIGNING_SECRET', type: 'string', secret: true },
+  // Bearer token for GET /metrics; the endpoint is open when it is not set.
+  { key: 'metricsToken', env: 'METRICS_TOKEN', type: 'string', secret: true },
+  { key: 'signedUrlTtl', env: 'SIGNED_URL_TTL', type: 'integer', min: 1, default: 3600 },
+  { key: 'requireSignedUrls', env: 'REQUIRE_SIGNED_URLS', type: 'boolean', default: false },
+  { key: 'tusMaxSize', env: 'TUS_MAX_SIZE', type: 'integer', min: 1, default: 1024 * 1024 * 1024 },
+  { key: 'tusExpirationSeconds', env: 'TUS_EXPIRATION_SECONDS', type: 'integer', min: 1, default: 24 * 60 * 60 },
+  {
+    key: 'imageVariantSizes',
+    env: 'IMAGE_VARIANT_SIZES',
+    type: 'integerList',
+    min: 1,
+    default: [64, 128, 160, 320, 480, 640, 1024, 1280]
+  },
+  // Uploads sent in one request are limited to maxSize; resumable uploads only to TUS_MAX_SIZE.
+  // Files of a category are kept retentionSeconds by default; 0 keeps them until they are deleted.
+  ...Object.entries(UPLOAD_CATEGORIES).flatMap(([category, extensions]) => uploadPolicySettings(category, extensions)),
+  { key: 'retentionSweepIntervalSeconds', env: 'RETENTION_SWEEP_INTERVAL_SECONDS', type: 'integer', min: 1, default: 5 * 60 },
+  { key: 'tombstoneRetentionSeconds', env: 'TOMBSTONE_RETENTION_SECONDS', type: 'integer', min: 0, default: 30 * 24 * 60 * 60 },
+  // Deleted files stay restorable in the trash this long before they are purged.
+  { key: 'trashRetentionSeconds', env: 'TRASH_RETENTION_SECONDS', type: 'integer', min: 1, default: 7 * 24 * 60 * 60 },
+  { key: 'trashPurgeIntervalSeconds', env: 'TRASH_PURGE_INTERVAL_SECONDS', type: 'integer', min: 1, default: 300 },
+  // Default per-client storage quota; 0 means unlimited. Keys can override it individually.
+  { key: 'quota.maxBytes', env: 'QUOTA_MAX_BYTES', type: 'integer', min: 0, default: 0 },
+  { key: 'quota.maxFiles', env: 'QUOTA_MAX_FILES', type: 'integer', min: 0, default: 0 },
+  { key: 'batchMaxFiles', env: 'BATCH_MAX_FILES', type: 'integer', min: 1, default: 20 },
+  { key: 'batchMaxDeletes', env: 'BATCH_MAX_DELETES', type: 'integer', min: 1, default: 100 },
+  { key: 'exportMaxFiles', env: 'EXPORT_MAX_FILES', type: 'integer', min: 1, default: 1000 },
+  { key: 'remoteFetch.maxSize', env: 'REMOTE_FETCH_MAX_SIZE', type: 'integer', min: 1, default: DEFAULT_MAX_FILE_SIZE },
+  { key: 'remoteFetch.timeout', env: 'REMOTE_FETCH_TIMEOUT_MS', type: 'integer', min: 1, default: 30 * 1000 },
+  { key: 'remoteFetch.maxRedirects', env: 'REMOTE_FETCH_MAX_REDIRECTS', type: 'integer', min: 0, default: 5 },
+  // Private, loopback and link-local destinations are refused unless this is set.
+  { key: 'remoteFetch.allowPrivate', env: 'REMOTE_FETCH_ALLOW_PRIVATE', type: 'boolean', default: false },
+  { key: 'webhooks.timeout', env: 'WEBHOOK_TIMEOUT_MS', type: 'integer', min: 1, default: 10 * 1000 },
+  { key: 'webhooks.maxAttempts', env: 'WEBHOOK_MAX_ATTEMPTS', type: 'integer', min: 1, default: 8 },
+  { key: 'webhooks.retryBaseSeconds', env: 'WEBHOOK_RETRY_BASE_SECONDS', type: 'integer', min: 1, default: 30 },
+  { key: 'webhooks.pollIntervalSeconds', env: 'WEBHOOK_POLL_INTERVAL_SECONDS', type: 'integer', min: 1, default: 5 },
+  { key: 'webhooks.historySize', env: 'WEBHOOK_DELIVERY_HISTORY', type: 'integer', min: 0, default: 1000 },
+  // off, sync (the upload waits for the verdict) or async (the file is held back until it is clean)
+  { key: 'scan.mode', env: 'SCAN_MODE', type: 'string', values: ['off', 'sync', 'async'], default: 'off' },
+  { key: 'scan.clamdHost', env: 'CLAMD_HOST', type: 'string', default: '127.0.0.1' },
+  { key: 'scan.clamdPort', env: 'CLAMD_PORT', type: 'integer', min: 1, max: 65535, default: 3310 },
+  { key: 'scan.timeout', env: 'SCAN_TIMEOUT_MS', type: 'integer', min: 1, default: 30 * 1000 },
+  { key: 'scan.retryIntervalSeconds', env: 'SCAN_RETRY_INTERVAL_SECONDS', type: 'integer', min: 1, default: 30 },
+  // Larger content is not sent to clamd, which refuses streams over its StreamMaxLength (25MB by default).
+  { key: 'scan.maxSize', env: 'SCAN_MAX_SIZE', type: 'integer', min: 1, default: 25 * 1024 * 1024 },
+  // GET /readyz fails when the storage volume has less free space than this.
+  { key: 'health.minFreeBytes', env: 'READINESS_MIN_FREE_BYTES', type: 'integer', min: 0, default: 100 * 1024 * 1024 },
+  { key: 'health.probeTimeout', env: 'HEALTH_PROBE_TIMEOUT_MS', type: 'integer', min: 1, default: 5 * 1000 },
+  // After SIGTERM, readiness fails for this long before the server stops accepting connections.
+  { key: 'health.shutdownDrainSeconds', env: 'SHUTDOWN_DRAIN_SECONDS', type: 'integer', min: 0, default: 10 },
+  // Express "trust proxy" setting, so per-IP limits see the client address behind a reverse proxy.
+  { key: 'trustProxy', env: 'TRUST_PROXY', type: 'trustProxy', default: false },
+  { key: 'rateLimit.store', env: 'RATE_LIMIT_STORE', type: 'string', values: ['memory'], default: 'memory' },
+  // Separate token buckets per API client and per IP address for each kind of operation; a rate of 0 turns one off.
+  ...rateLimitSettings('upload', 'key', 60, 20),
+  ...rateLimitSettings('upload', 'ip', 120, 40),
+  ...rateLimitSettings('delete', 'key', 120, 60),
+  ...rateLimitSettings('delete', 'ip', 240, 120),
+  ...rateLimitSettings('download', 'key', 600, 200),
+  ...rateLimitSettings('download', 'ip', 600, 200),
+  // Uploads of one API client that may be receiving their body at the same time; 0 means unlimited.
+  { key: 'rateLimit.maxConcurrentUploads', env: 'MAX_CONCURRENT_UPLOADS', type: 'integer', min: 0, default: 4 },
+  // Base64 of 32 random bytes; new objects are encrypted at rest when it is set. Previous keys only
+  // open data keys they wrapped, until POST /admin/encryption/rewrap moves those to the current key.
+  {
+    key: 'encryption.masterKey',
+    env: 'ENCRYPTION_MASTER_KEY',
+    type: 'string',
+    secret: true,
+    validate: value => (decodeMasterKey(value) ? null : 'must be 32 bytes encoded as base64')
+  },
+  {
+    key: 'encryption.previousKeys',
+    env: 'ENCRYPTION_PREVIOUS_KEYS',
+    type: 'list',
+    default: [],
+    secret: true,
+    validate: list => (list.every(decodeMasterKey) ? null : 'must be a list of 32-byte keys encoded as base64')
+  },
+  { key: 'logLevel', env: 'LOG_LEVEL', type: 'string', values: LOG_LEVELS, default: 'info' }
+];
+
+/**
+ * Rules that involve more than one setting. Each returns an error message or null.
+ */
+const CROSS_CHECKS = [
+  config => (config.storageBackend === 's3' && !(config.s3.endpoint && config.s3.bucket && config.s3.accessKeyId && config.s3.secretAccessKey)
+    ? 'STORAGE_BACKEND=s3 requires S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY'
+    : null),
+  config => (config.requireSignedUrls && !config.signingSecret
+    ? 'REQUIRE_SIGNED_URLS=true requires URL_SIGNING_SECRET'
+    : null)
+];
+
+module.exports = {
+  DEFAULT_MAX_FILE_SIZE,
+  UPLOAD_CATEGORIES,
+  SETTINGS,
+  CROSS_CHECKS
+};
@@ -0,0 +1,83 @@
+const { metadataStore } = require('../services/metadataStore');
+const { recordAudit } = require('../services/auditLog');
+
+// Who made the request and from where, as recorded in every audit entry.
+const requestFields = (req) => ({
+  actor: req.apiKey ? { keyId: req.apiKey.id, keyName: req.apiKey.name, clientId: req.apiKey.clientId } : null,
+  ip: req.ip,
+  userAgent: req.get('User-Agent') || null,
+  method: req.method,
+  path: req.originalUrl.split('?')[0]
+});
+
+// Records an audit entry for the request outside of the audit middleware, e.g. a failed authentication.
+const auditRequest = (req, fields) => recordAudit({
+  ...requestFields(req),
+  filename: req.params.filename || (typeof req.query.filename === 'string' ? req.query.filename : null),
+  ...fields
+});
+
+/**
+ * Records an audit entry for the action once the response is sent. The filename, size and error come
+ * from the JSON the route answers with, so routes do not need to report them. Batch responses are
+ * recorded as one entry per item. Streamed responses (downloads) take them from the file metadata.
+ *
+ * Pass skip(req, res) to leave out responses that are not an operation of their own, such as a
+ * resumable upload chunk that did not complete the file.
+ */
+const audit = (action, { skip } = {}) => (req, res, next) => {
+  let body = null;
+  const json = res.json.bind(res);
+  res.json = (data) => {
+    body = data;
+    return json(data);
+  };
+
+  res.on('finish', () => {
+    if (skip && skip(req, res)) {
+      return;
+    }
+
+    const fields = requestFields(req);
+    if (body && Array.isArray(body.results)) {
+      body.results.forEach(item => recordAudit({
+        ...fields,
+        action,
+        status: item.status,
+        filename: typeof item.filename === 'string' ? item.filename : null,
+        originalname: item.originalname || null,
+        size: item.size !== undefined ? item.size : null,
+        reason: item.error || null
+      }));
+      return;
+    }
+
+    const filename = (body && body.filename) || req.filename || req.params.filename || (req.file && req.file.filename) || null;
+    const record = filename && !body ? metadataStore.get(filename) : null;
+    let size = null;
+    if (body && body.size !== undefined) {
+      size = body.size;
+    } else if (req.file && req.file.size !== undefined) {
+      size = req.file.size;
+    } else if (record) {
+      size = record.size;
+    }
+
+    recordAudit({
+      ...fields,
+      action,
+      status: res.statusCode,
+      filename,
+      originalname: (body && body.originalname) || (req.file && req.file.originalname) || (record && record.originalname) || null,
+      size,
+      reason: (body && body.error) || null
+    });
+  });
+
+  next();
+};
+
+module.exports = {
+  audit,
+  auditRequest
+};
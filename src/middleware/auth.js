@@ -0,0 +1,72 @@
+const logger = require('../config/logger');
+const { findBySecret } = require('../services/apiKeyStore');
+const { auditRequest } = require('./audit');
+const { authFailures } = require('../services/metrics');
+
+const authenticate = (req, res, next) => {
+  try {
+    const token = req.headers['authorization'];
+    if (!token) {
+      logger.warn('Missing authorization header', { ip: req.ip, url: req.url });
+      auditRequest(req, { action: 'auth', status: 401, reason: 'Missing authorization' });
+      authFailures.inc({ reason: 'missing_token' });
+      return res.status(401).json({ 
+        error: 'Missing authorization',
+        message: 'Authorization header is required'
+      });
+    }
+
+    const apiKey = token.startsWith('Bearer ') ? findBySecret(token.slice('Bearer '.length)) : null;
+    if (!apiKey) {
+      logger.warn('Invalid authorization token', { ip: req.ip, url: req.url });
+      auditRequest(req, { action: 'auth', status: 401, reason: 'Invalid token' });
+      authFailures.inc({ reason: 'invalid_token' });
+      return res.status(401).json({ 
+        error: 'Invalid token',
+        message: 'Invalid authorization token'
+      });
+    }
+
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    logger.error('Authentication error', { error: error.message, ip: req.ip });
+    res.status(500).json({ 
+      error: 'Authentication error',
+      message: 'An error occurred during authentication'
+    });
+  }
+};
+
+// The admin scope grants every other scope.
+const requireScope = (scope) => (req, res, next) => {
+  const { scopes } = req.apiKey;
+  if (!scopes.includes(scope) && !scopes.includes('admin')) {
+    logger.warn('Insufficient scope', {
+      keyId: req.apiKey.id,
+      keyName: req.apiKey.name,
+      requiredScope: scope,
+      ip: req.ip,
+      url: req.url
+    });
+    auditRequest(req, { action: 'auth', status: 403, reason: 'Insufficient scope' });
+    authFailures.inc({ reason: 'insufficient_scope' });
+    return res.status(403).json({
+      error: 'Insufficient scope',
+      message: `This operation requires the "${scope}" scope`
+    });
+  }
+  next();
+};
+
+// Log fields identifying the API key behind a request.
+const keyLogMeta = (req) => ({
+  keyId: req.apiKey && req.apiKey.id,
+  keyName: req.apiKey && req.apiKey.name
+});
+
+module.exports = {
+  authenticate,
+  requireScope,
+  keyLogMeta
+};
@@ -1,5 +1,6 @@
 const multer = require('multer');
 const logger = require('../config/logger');
+const { uploadRejections } = require('../services/metrics');
 
 const errorHandler = (err, req, res, next) => {
   logger.error('Unhandled error occurred', {
@@ -13,30 +14,75 @@ const errorHandler = (err, req, res, next) => {
 
   if (err instanceof multer.MulterError) {
     if (err.code === 'LIMIT_FILE_SIZE') {
+      uploadRejections.inc({ reason: 'file_too_large' });
       return res.status(413).json({
         error: 'File too large',
         message: 'The uploaded file exceeds the maximum allowed size'
       });
     }
     if (err.code === 'LIMIT_FILE_COUNT') {
+      uploadRejections.inc({ reason: 'too_many_files' });
       return res.status(413).json({
         error: 'Too many files',
-        message: 'Only one file is allowed per request'
+        message: 'The request contains more files than allowed'
       });
     }
     if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+      uploadRejections.inc({ reason: 'invalid_field_name' });
       return res.status(400).json({
         error: 'Invalid field name',
         message: 'File must be uploaded with field name "file"'
       });
     }
+    uploadRejections.inc({ reason: 'upload_error' });
     return res.status(400).json({
       error: 'Upload error',
       message: err.message
     });
   }
 
+  // Errors from the JSON body parser
+  if (err.type === 'entity.too.large') {
+    uploadRejections.inc({ reason: 'request_too_large' });
+    return res.status(413).json({
+      error: 'Request too large',
+      message: 'The request body exceeds the maximum allowed size'
+    });
+  }
+  if (err.type === 'entity.parse.failed') {
+    uploadRejections.inc({ reason: 'invalid_json' });
+    return res.status(400).json({
+      error: 'Invalid JSON',
+      message: 'The request body is not valid JSON'
+    });
+  }
+
+  // Refused by the upload policy of the file's category, already counted by the file filter
+  if (err.code === 'UPLOAD_POLICY') {
+    return res.status(err.rejection.status).json({
+      error: err.rejection.error,
+      message: err.rejection.message
+    });
+  }
+  // Over the size limit of the file's category, found while the file streamed in
+  if (err.code === 'LIMIT_FILE_SIZE') {
+    uploadRejections.inc({ reason: 'file_too_large' });
+    return res.status(413).json({
+      error: 'File too large',
+      message: err.message
+    });
+  }
+
+  if (err.code === 'FILE_TYPE_MISMATCH') {
+    uploadRejections.inc({ reason: 'type_mismatch' });
+    return res.status(400).json({
+      error: 'File type mismatch',
+      message: err.message
+    });
+  }
+
   if (err.name === 'ValidationError') {
+    uploadRejections.inc({ reason: 'validation_error' });
     return res.status(400).json({
       error: 'Validation error',
       message: err.message
@@ -0,0 +1,129 @@
+const express = require('express');
+const { Readable } = require('stream');
+const logger = require('../config/logger');
+const { storeUpload } = require('../services/uploadService');
+const { MAX_UPLOAD_SIZE, maxSizeFor, checkUploadPolicy } = require('../services/uploadPolicies');
+const { normalizeMimeType } = require('./validation');
+const { uploadRejections } = require('../services/metrics');
+
+const DATA_URI_PATTERN = /^data:([^,]*?)(;base64)?,/i;
+const BASE64_PATTERN = /^[A-Za-z0-9+/_-]*={0,2}$/;
+
+// Decoded size of a base64 string, computed from its length so nothing has to be decoded first.
+const decodedLength = (base64) => {
+  const padding = base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0;
+  return Math.floor(base64.length * 3 / 4) - padding;
+};
+
+/**
+ * Splits the data field into its MIME type (for data URIs) and the bare base64 payload.
+ * Returns { mimetype, base64 } or { error }.
+ */
+const parseData = (data) => {
+  if (typeof data !== 'string' || data.length === 0) {
+    return { error: 'data must be a non-empty base64 string or data URI' };
+  }
+
+  let mimetype;
+  let payload = data;
+  const dataUri = DATA_URI_PATTERN.exec(data.slice(0, 256));
+  if (dataUri) {
+    if (!dataUri[2]) {
+      return { error: 'data URIs must be base64-encoded' };
+    }
+    mimetype = dataUri[1] ? normalizeMimeType(dataUri[1]) : undefined;
+    payload = data.slice(dataUri[0].length);
+  }
+
+  // Line-wrapped base64 (as produced by MIME encoders) is accepted.
+  const base64 = payload.replace(/\s+/g, '');
+  if (base64.length === 0 || base64.length % 4 === 1 || !BASE64_PATTERN.test(base64)) {
+    return { error: 'data is not valid base64' };
+  }
+
+  return { mimetype, base64 };
+};
+
+/**
+ * Upload middleware for application/json bodies of the form { filename, mimetype, data }, where data is
+ * base64 or a base64 data URI. The decoded file goes through the same checks and storage as multipart
+ * uploads and ends up in req.file, so the rest of the upload chain does not see a difference.
+ * Requests of other content types are passed through untouched.
+ *
+ * The body may not be larger than the base64-encoded largest upload size (plus room for line breaks
+ * and the other fields), so an oversized body is refused while it is being read instead of after
+ * buffering it all. The decoded file is then held to the upload policy of its category.
+ */
+const createJsonUpload = (generateKey) => {
+  const parseBody = express.json({
+    limit: Math.ceil(Math.ceil(MAX_UPLOAD_SIZE / 3) * 4 * 1.05) + 64 * 1024
+  });
+
+  const storeBody = async (req, res, next) => {
+    if (!req.is('application/json')) {
+      return next();
+    }
+
+    const { filename, mimetype: declaredType, data } = req.body || {};
+    // reason is the label of the rejection metric, shared with multipart uploads.
+    const reject = (reason, status, error, message) => {
+      logger.warn('JSON upload rejected', { reason: message, url: req.url, method: req.method, ip: req.ip });
+      uploadRejections.inc({ reason });
+      return res.status(status).json({
+        error,
+        message
+      });
+    };
+
+    if (filename !== undefined && (typeof filename !== 'string' || filename.trim().length === 0 || filename.length > 255)) {
+      return reject('validation_error', 400, 'Invalid parameter', 'filename must be a non-empty string of at most 255 characters');
+    }
+    if (declaredType !== undefined && typeof declaredType !== 'string') {
+      return reject('validation_error', 400, 'Invalid parameter', 'mimetype must be a string');
+    }
+
+    const parsed = parseData(data);
+    if (parsed.error) {
+      return reject('validation_error', 400, 'Invalid parameter', parsed.error);
+    }
+
+    const mimetype = declaredType !== undefined ? normalizeMimeType(declaredType) : parsed.mimetype;
+    if (!mimetype) {
+      return reject('validation_error', 400, 'Invalid parameter', 'mimetype is required unless data is a data URI with a MIME type');
+    }
+    if (parsed.mimetype && parsed.mimetype !== mimetype) {
+      return reject('validation_error', 400, 'Invalid parameter', `mimetype ${mimetype} does not match the data URI type ${parsed.mimetype}`);
+    }
+
+    const file = {
+      fieldname: 'data',
+      originalname: filename !== undefined ? filename.trim() : 'upload',
+      encoding: 'base64',
+      mimetype
+    };
+    const rejection = checkUploadPolicy(file);
+    if (rejection) {
+      return reject(rejection.reason, rejection.status, rejection.error, rejection.message);
+    }
+    const maxSize = maxSizeFor(mimetype);
+    if (decodedLength(parsed.base64) > maxSize) {
+      return reject('file_too_large', 413, 'File too large', `The uploaded file exceeds the maximum allowed size of ${maxSize} bytes`);
+    }
+
+    try {
+      const content = await storeUpload(Readable.from([Buffer.from(parsed.base64, 'base64')]), {
+        mimetype,
+        originalname: file.originalname,
+        logMeta: { ip: req.ip }
+      });
+      req.file = { ...file, filename: generateKey(req, file), ...content };
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  return [parseBody, storeBody];
+};
+
+module.exports = createJsonUpload;
@@ -0,0 +1,23 @@
+const { httpRequests, httpDuration } = require('../services/metrics');
+
+/**
+ * Counts every request and its latency by method, route and status. The route is the matched route
+ * pattern (/files/:filename), never the raw URL, so series do not grow with every filename.
+ */
+const trackRequests = (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+  res.on('finish', () => {
+    const labels = {
+      method: req.method,
+      route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+      status: res.statusCode
+    };
+    httpRequests.inc(labels);
+    httpDuration.observe(labels, Number(process.hrtime.bigint() - startedAt) / 1e9);
+  });
+  next();
+};
+
+module.exports = {
+  trackRequests
+};
@@ -0,0 +1,47 @@
+const logger = require('../config/logger');
+const { checkQuota, reserveQuota } = require('../services/quotas');
+const { releaseContent } = require('../services/contentStore');
+const { keyLogMeta } = require('./auth');
+
+const rejectOverQuota = (req, res, error) => {
+  logger.warn('Upload rejected by quota', {
+    reason: error.message,
+    quota: error.quota,
+    usage: error.usage,
+    ip: req.ip,
+    ...keyLogMeta(req)
+  });
+  return res.status(507).json({
+    error: 'Quota exceeded',
+    message: error.message,
+    quota: error.quota,
+    usage: error.usage
+  });
+};
+
+// Turns clients that are already at their limit away before the upload body is read.
+const requireQuota = (req, res, next) => {
+  const error = checkQuota(req.apiKey, { bytes: 0, files: 1 });
+  if (error) {
+    return rejectOverQuota(req, res, error);
+  }
+  next();
+};
+
+// Runs after multer, once the real size is known. Rejected files are removed from storage again.
+// The size stays reserved until the response is sent, by which time the file is recorded or has failed.
+const enforceQuota = async (req, res, next) => {
+  const { error, release } = reserveQuota(req.apiKey, { bytes: req.file.size, files: 1 });
+  if (error) {
+    await releaseContent(req.file.sha256);
+    return rejectOverQuota(req, res, error);
+  }
+  res.once('close', release);
+  next();
+};
+
+module.exports = {
+  rejectOverQuota,
+  requireQuota,
+  enforceQuota
+};
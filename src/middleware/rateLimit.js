@@ -0,0 +1,103 @@
+const logger = require('../config/logger');
+const environment = require('../config/environment');
+const { rateLimitStore } = require('../services/rateLimiter');
+const { rateLimited } = require('../services/metrics');
+const { keyLogMeta } = require('./auth');
+
+// Concurrency slots free up when another upload ends, which has no known time.
+const CONCURRENCY_RETRY_SECONDS = 1;
+
+const setRateLimitHeaders = (res, { limit, remaining, resetSeconds }) => {
+  res.set({
+    'RateLimit-Limit': String(limit),
+    'RateLimit-Remaining': String(remaining),
+    'RateLimit-Reset': String(resetSeconds)
+  });
+};
+
+const rejectRateLimited = (req, res, { operation, scope, retryAfterSeconds }) => {
+  logger.warn('Request rate limited', { operation, scope, retryAfterSeconds, ip: req.ip, url: req.url, ...keyLogMeta(req) });
+  rateLimited.inc({ operation, scope });
+  res.set('Retry-After', String(retryAfterSeconds));
+  return res.status(429).json({
+    error: 'Too many requests',
+    message: scope === 'concurrency'
+      ? `Too many uploads in progress; the limit is ${environment.rateLimit.maxConcurrentUploads} at a time`
+      : `Rate limit for ${operation} requests exceeded; retry in ${retryAfterSeconds} seconds`
+  });
+};
+
+/**
+ * Token-bucket limit for one kind of operation (upload, delete or download), applied per API client
+ * when the request is authenticated and per IP address. The RateLimit-* headers describe whichever
+ * bucket is closest to empty. Requests go through when the store fails, so an outage of a shared
+ * store does not take the API down with it.
+ */
+const rateLimit = (operation) => async (req, res, next) => {
+  const limits = environment.rateLimit[operation];
+  const buckets = [
+    req.apiKey && { scope: 'key', key: `${operation}:key:${req.apiKey.clientId}`, ...limits.key },
+    { scope: 'ip', key: `${operation}:ip:${req.ip}`, ...limits.ip }
+  ].filter(bucket => bucket && bucket.perMinute > 0);
+
+  if (buckets.length === 0) {
+    return next();
+  }
+
+  let results;
+  try {
+    results = await Promise.all(buckets.map(async ({ scope, key, perMinute, burst }) => ({
+      scope,
+      ...await rateLimitStore.take(key, { perMinute, burst })
+    })));
+  } catch (error) {
+    logger.error('Rate limit store error', { operation, error: error.message });
+    return next();
+  }
+
+  const denied = results
+    .filter(result => !result.allowed)
+    .sort((a, b) => b.retryAfterSeconds - a.retryAfterSeconds)[0];
+  setRateLimitHeaders(res, denied || results.reduce((tightest, result) =>
+    result.remaining < tightest.remaining ? result : tightest));
+
+  if (denied) {
+    return rejectRateLimited(req, res, { operation, scope: denied.scope, retryAfterSeconds: denied.retryAfterSeconds });
+  }
+  next();
+};
+
+// Caps the uploads of one API client that are receiving their body at the same time.
+const limitConcurrentUploads = async (req, res, next) => {
+  const max = environment.rateLimit.maxConcurrentUploads;
+  if (!max) {
+    return next();
+  }
+
+  const key = `uploads:${req.apiKey.clientId}`;
+  let acquired;
+  try {
+    acquired = await rateLimitStore.acquire(key, max);
+  } catch (error) {
+    logger.error('Rate limit store error', { operation: 'upload', error: error.message });
+    return next();
+  }
+
+  if (!acquired) {
+    setRateLimitHeaders(res, { limit: max, remaining: 0, resetSeconds: CONCURRENCY_RETRY_SECONDS });
+    return rejectRateLimited(req, res, { operation: 'upload', scope: 'concurrency', retryAfterSeconds: CONCURRENCY_RETRY_SECONDS });
+  }
+
+  // close is emitted both when the response is sent and when the client goes away mid-upload.
+  res.once('close', () => {
+    rateLimitStore.release(key).catch(error => {
+      logger.error('Rate limit store error', { operation: 'upload', error: error.message });
+    });
+  });
+  next();
+};
+
+module.exports = {
+  rateLimit,
+  limitConcurrentUploads
+};
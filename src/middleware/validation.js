@@ -1,4 +1,23 @@
+const net = require('net');
 const logger = require('../config/logger');
+const environment = require('../config/environment');
+const { isSigningConfigured } = require('../services/urlSigner');
+const { SCOPES } = require('../services/apiKeyStore');
+const { EVENTS } = require('../services/webhooks');
+const { ACTIONS: AUDIT_ACTIONS, OUTCOMES: AUDIT_OUTCOMES } = require('../services/auditLog');
+const { isGeneratedFilename } = require('../utils/filename');
+const { FITS, FORMATS } = require('../services/imageVariants');
+const { releaseContent } = require('../services/contentStore');
+const { isValidNamespace } = require('../services/namespaces');
+const { uploadRejections } = require('../services/metrics');
+const { isAllowedMimeType: isAllowedType, checkUploadPolicy, maxSizeFor } = require('../services/uploadPolicies');
+
+const MAX_SIGNED_URL_TTL = 7 * 24 * 60 * 60;
+
+// Drops parameters such as "; codecs=opus" so only the media type itself is compared.
+const normalizeMimeType = (mimetype) => String(mimetype || '').split(';')[0].trim().toLowerCase();
+
+const isAllowedMimeType = (mimetype) => isAllowedType(normalizeMimeType(mimetype));
 
 const validateFilename = (req, res, next) => {
   const { filename } = req.query;
@@ -28,54 +47,637 @@ const validateFilename = (req, res, next) => {
     });
   }
 
+  if (!isGeneratedFilename(filename.trim())) {
+    logger.warn('Invalid filename format', {
+      filename,
+      url: req.url,
+      method: req.method,
+      ip: req.ip
+    });
+    return res.status(400).json({
+      error: 'Invalid parameter',
+      message: 'filename must be the name of an uploaded file'
+    });
+  }
+
   req.filename = filename.trim();
   next();
 };
 
-const validateFileUpload = (req, res, next) => {
+// Checks the stored file against the upload policy of its category; rejected content is released again.
+const validateFileUpload = async (req, res, next) => {
   if (!req.file) {
     logger.warn('No file uploaded', {
       url: req.url,
       method: req.method,
       ip: req.ip
     });
+    uploadRejections.inc({ reason: 'no_file' });
     return res.status(400).json({
       error: 'No file uploaded',
       message: 'Please select a file to upload'
     });
   }
 
-  const allowedMimeTypes = [
-    'image/jpeg',
-    'image/png',
-    'image/gif',
-    'image/webp',
-    'application/pdf',
-    'text/plain',
-    'application/json',
-    'text/csv',
-    'application/vnd.ms-excel',
-    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
-  ];
+  const rejection = checkUploadPolicy(req.file);
+  if (rejection) {
+    logger.warn('Upload rejected by policy', {
+      reason: rejection.message,
+      mimetype: req.file.mimetype,
+      originalname: req.file.originalname,
+      url: req.url,
+      method: req.method,
+      ip: req.ip
+    });
+    uploadRejections.inc({ reason: rejection.reason });
+    await releaseContent(req.file.sha256);
+    return res.status(rejection.status).json({
+      error: rejection.error,
+      message: rejection.message
+    });
+  }
 
-  if (!allowedMimeTypes.includes(req.file.mimetype)) {
-    logger.warn('Unsupported file type uploaded', {
+  const maxSize = maxSizeFor(req.file.mimetype);
+  if (req.file.size > maxSize) {
+    logger.warn('Uploaded file too large', {
       mimetype: req.file.mimetype,
       originalname: req.file.originalname,
+      size: req.file.size,
+      maxSize,
+      ip: req.ip
+    });
+    uploadRejections.inc({ reason: 'file_too_large' });
+    await releaseContent(req.file.sha256);
+    return res.status(413).json({
+      error: 'File too large',
+      message: `The uploaded file exceeds the maximum allowed size of ${maxSize} bytes`
+    });
+  }
+
+  next();
+};
+
+const validateBatchDelete = (req, res, next) => {
+  const { filenames } = req.body || {};
+  const max = environment.batchMaxDeletes;
+
+  if (!Array.isArray(filenames) || filenames.length === 0 || filenames.length > max) {
+    logger.warn('Invalid batch delete request', { url: req.url, method: req.method, ip: req.ip });
+    return res.status(400).json({
+      error: 'Invalid parameter',
+      message: `filenames must be a list of 1 to ${max} filenames`
+    });
+  }
+
+  // Malformed entries fail on their own in the per-item results instead of failing the batch.
+  req.filenames = filenames.map(filename => (typeof filename === 'string' ? filename.trim() : filename));
+  next();
+};
+
+const parseNonNegativeInteger = (value) => {
+  if (value === undefined) {
+    return undefined;
+  }
+  const number = Number(value);
+  return Number.isInteger(number) && number >= 0 ? number : NaN;
+};
+
+const parseDate = (value) => {
+  if (value === undefined) {
+    return undefined;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const NAMESPACE_MESSAGE = 'namespace must be 1 to 128 letters, digits, ".", "_", ":" or "-", starting with a letter or digit';
+
+const rejectListQuery = (req, res, message) => {
+  logger.warn('Invalid file listing query', {
+    query: req.query,
+    url: req.url,
+    method: req.method,
+    ip: req.ip
+  });
+  return res.status(400).json({
+    error: 'Invalid parameter',
+    message
+  });
+};
+
+/**
+ * Checks the filters shared by file listings and exports (mimetype, from, to, minSize, maxSize and
+ * namespace). Returns { filters } on success or { error } with a message for the client.
+ */
+const parseListFilters = ({ mimetype, from, to, minSize, maxSize, namespace } = {}) => {
+  const filters = {
+    mimetype,
+    from: parseDate(from),
+    to: parseDate(to),
+    minSize: parseNonNegativeInteger(minSize),
+    maxSize: parseNonNegativeInteger(maxSize),
+    namespace
+  };
+
+  if (Number.isNaN(filters.minSize) || Number.isNaN(filters.maxSize)) {
+    return { error: 'minSize and maxSize must be non-negative integers' };
+  }
+  if (filters.from === null || filters.to === null) {
+    return { error: 'from and to must be valid ISO 8601 dates' };
+  }
+  if (mimetype !== undefined && (typeof mimetype !== 'string' || !mimetype.includes('/'))) {
+    return { error: 'mimetype must look like "type/subtype" or "type/*"' };
+  }
+  if (namespace !== undefined && !isValidNamespace(namespace)) {
+    return { error: NAMESPACE_MESSAGE };
+  }
+  return { filters };
+};
+
+const validateListQuery = (req, res, next) => {
+  const page = parseNonNegativeInteger(req.query.page);
+  const limit = parseNonNegativeInteger(req.query.limit);
+
+  if (page !== undefined && !(page >= 1)) {
+    return rejectListQuery(req, res, 'page must be a positive integer');
+  }
+  if (limit !== undefined && !(limit >= 1 && limit <= 100)) {
+    return rejectListQuery(req, res, 'limit must be an integer between 1 and 100');
+  }
+  const { filters, error } = parseListFilters(req.query);
+  if (error) {
+    return rejectListQuery(req, res, error);
+  }
+
+  req.listQuery = { ...filters, page: page || 1, limit: limit || 50 };
+  next();
+};
+
+const EXPORT_FILTERS = ['namespace', 'mimetype', 'from', 'to', 'minSize', 'maxSize'];
+
+// An export selects files either by name or with the filters of GET /files, at least one of them.
+const validateExportRequest = (req, res, next) => {
+  const { filenames, filter } = req.body || {};
+  const max = environment.exportMaxFiles;
+
+  const reject = (message) => {
+    logger.warn('Invalid export request', { reason: message, url: req.url, method: req.method, ip: req.ip });
+    return res.status(400).json({
+      error: 'Invalid parameter',
+      message
+    });
+  };
+
+  if ((filenames === undefined) === (filter === undefined)) {
+    return reject('Either filenames or filter is required, but not both');
+  }
+
+  if (filenames !== undefined) {
+    if (!Array.isArray(filenames) || filenames.length === 0 || filenames.length > max
+      || !filenames.every(filename => typeof filename === 'string' && isGeneratedFilename(filename.trim()))) {
+      return reject(`filenames must be a list of 1 to ${max} valid filenames`);
+    }
+    req.exportSelection = { filenames: [...new Set(filenames.map(filename => filename.trim()))] };
+    return next();
+  }
+
+  if (typeof filter !== 'object' || filter === null || Array.isArray(filter)) {
+    return reject('filter must be an object');
+  }
+  const { filters, error } = parseListFilters(filter);
+  if (error) {
+    return reject(error);
+  }
+  if (EXPORT_FILTERS.every(name => filters[name] === undefined)) {
+    return reject(`filter must set at least one of: ${EXPORT_FILTERS.join(', ')}`);
+  }
+  req.exportSelection = { filter: filters };
+  next();
+};
+
+const parseBoolean = (value) => value === true || value === 'true';
+
+// Reads the signed URL options from the part of the request that getOptions(req) returns.
+const signOptionsValidator = (getOptions) => (req, res, next) => {
+  const options = getOptions(req) || {};
+  const expiresIn = parseNonNegativeInteger(options.expiresIn);
+
+  const reject = (message) => {
+    logger.warn('Invalid signed URL options', {
+      reason: message,
+      url: req.url,
+      method: req.method,
+      ip: req.ip
+    });
+    return res.status(400).json({
+      error: 'Invalid parameter',
+      message
+    });
+  };
+
+  if (expiresIn !== undefined && !(expiresIn >= 1 && expiresIn <= MAX_SIGNED_URL_TTL)) {
+    return reject(`expiresIn must be an integer between 1 and ${MAX_SIGNED_URL_TTL} seconds`);
+  }
+  if (options.ip !== undefined && !net.isIP(String(options.ip))) {
+    return reject('ip must be a valid IPv4 or IPv6 address');
+  }
+
+  req.signOptions = {
+    expiresIn,
+    ip: options.ip,
+    singleUse: parseBoolean(options.singleUse)
+  };
+  req.signRequested = parseBoolean(options.signed);
+
+  if (req.signRequested && !isSigningConfigured()) {
+    logger.warn('Signed URL requested but signing is not configured', { url: req.url, ip: req.ip });
+    return res.status(503).json({
+      error: 'Signing unavailable',
+      message: 'Signed URLs are not configured on this server'
+    });
+  }
+
+  next();
+};
+
+// Uploads take the options in the query: the body is the file, and an `expiresIn` there is the file's retention.
+const validateSignOptions = signOptionsValidator(req => req.query);
+
+// POST /files/{filename}/sign takes them in its JSON body.
+const validateSignRequest = signOptionsValidator(req => req.body);
+
+// Deletes go to the trash unless permanent=true is passed in the query or the JSON body.
+const validateDeleteOptions = (req, res, next) => {
+  const { permanent } = { ...req.query, ...req.body };
+  if (permanent !== undefined && !['true', 'false', true, false].includes(permanent)) {
+    logger.warn('Invalid delete options', { url: req.url, method: req.method, ip: req.ip });
+    return res.status(400).json({
+      error: 'Invalid parameter',
+      message: 'permanent must be true or false'
+    });
+  }
+
+  req.permanent = parseBoolean(permanent);
+  next();
+};
+
+/**
+ * Checks the optional expiresIn (seconds) / expiresAt (ISO 8601) retention options of an upload.
+ * Returns { retention } on success or { error } with a message for the client.
+ */
+const parseRetention = ({ expiresIn, expiresAt } = {}) => {
+  const seconds = parseNonNegativeInteger(expiresIn);
+  const date = parseDate(expiresAt);
+
+  if (seconds !== undefined && date !== undefined) {
+    return { error: 'expiresIn and expiresAt cannot be used together' };
+  }
+  if (seconds !== undefined && !(seconds >= 1)) {
+    return { error: 'expiresIn must be a positive integer number of seconds' };
+  }
+  if (date === null || (date && date.getTime() <= Date.now())) {
+    return { error: 'expiresAt must be a valid ISO 8601 date in the future' };
+  }
+
+  return { retention: { expiresIn: seconds, expiresAt: date ? date.toISOString() : undefined } };
+};
+
+// The optional namespace of an upload. Returns { namespace } on success or { error }.
+const parseNamespace = (namespace) => {
+  if (namespace === undefined || namespace === '') {
+    return { namespace: undefined };
+  }
+  return isValidNamespace(namespace) ? { namespace } : { error: NAMESPACE_MESSAGE };
+};
+
+// Runs after multer, so the retention and namespace fields of the multipart form are available and the files are already stored.
+const validateUploadOptions = async (req, res, next) => {
+  const { retention, error: retentionError } = parseRetention(req.body);
+  const { namespace, error: namespaceError } = parseNamespace(req.body && req.body.namespace);
+  const error = retentionError || namespaceError;
+
+  if (error) {
+    logger.warn('Invalid upload options', {
+      reason: error,
       url: req.url,
       method: req.method,
       ip: req.ip
     });
+    const stored = req.files || (req.file ? [req.file] : []);
+    await Promise.all(stored.filter(file => file.sha256).map(file => releaseContent(file.sha256)));
+    return res.status(400).json({
+      error: 'Invalid parameter',
+      message: error
+    });
+  }
+
+  req.retention = retention;
+  req.namespace = namespace;
+  next();
+};
+
+const validateNamespaceParam = (req, res, next) => {
+  if (!isValidNamespace(req.params.id)) {
+    logger.warn('Invalid namespace', { namespace: req.params.id, url: req.url, method: req.method, ip: req.ip });
+    return res.status(400).json({
+      error: 'Invalid parameter',
+      message: NAMESPACE_MESSAGE
+    });
+  }
+  next();
+};
+
+// Quota limits are non-negative integers (0 = unlimited) or null to fall back to the configured default.
+const parseQuota = (quota) => {
+  if (quota === undefined || quota === null) {
+    return { quota: null };
+  }
+  if (typeof quota !== 'object' || Array.isArray(quota)) {
+    return { error: 'quota must be an object with maxBytes and/or maxFiles' };
+  }
+  const limits = {};
+  for (const field of ['maxBytes', 'maxFiles']) {
+    const value = quota[field];
+    if (value === undefined || value === null) {
+      limits[field] = null;
+    } else if (Number.isInteger(value) && value >= 0) {
+      limits[field] = value;
+    } else {
+      return { error: `quota.${field} must be a non-negative integer or null` };
+    }
+  }
+  return { quota: limits };
+};
+
+const validateQuotaRequest = (req, res, next) => {
+  const { quota, error } = parseQuota(req.body);
+  if (error) {
+    logger.warn('Invalid quota request', { reason: error, url: req.url, method: req.method, ip: req.ip });
+    return res.status(400).json({
+      error: 'Invalid parameter',
+      message: error
+    });
+  }
+  req.quota = quota;
+  next();
+};
+
+// Headers the server sets itself when fetching a remote file.
+const RESERVED_REMOTE_HEADERS = ['host', 'content-length', 'transfer-encoding', 'connection', 'upgrade', 'te', 'trailer', 'keep-alive'];
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+const validateRemoteUpload = (req, res, next) => {
+  const { url, headers = {}, mimetype, filename } = req.body || {};
+
+  const reject = (message) => {
+    logger.warn('Invalid remote upload request', { reason: message, url: req.url, method: req.method, ip: req.ip });
+    return res.status(400).json({
+      error: 'Invalid parameter',
+      message
+    });
+  };
+
+  if (typeof url !== 'string' || url.length === 0 || url.length > 2048) {
+    return reject('url must be a non-empty string of at most 2048 characters');
+  }
+  if (typeof headers !== 'object' || headers === null || Array.isArray(headers)) {
+    return reject('headers must be an object of header names to string values');
+  }
+  for (const [name, value] of Object.entries(headers)) {
+    if (!HEADER_NAME_PATTERN.test(name) || typeof value !== 'string' || /[\r\n]/.test(value)) {
+      return reject(`header "${name}" must have a valid name and a single-line string value`);
+    }
+    if (RESERVED_REMOTE_HEADERS.includes(name.toLowerCase())) {
+      return reject(`header "${name}" cannot be set`);
+    }
+  }
+  if (mimetype !== undefined && !isAllowedMimeType(mimetype)) {
+    logger.warn('Unsupported file type uploaded', { mimetype, url: req.url, method: req.method, ip: req.ip });
     return res.status(400).json({
       error: 'Unsupported file type',
       message: 'The uploaded file type is not supported'
     });
   }
+  if (filename !== undefined && (typeof filename !== 'string' || filename.trim().length === 0 || filename.length > 255)) {
+    return reject('filename must be a non-empty string of at most 255 characters');
+  }
+
+  const { retention, error } = parseRetention(req.body);
+  if (error) {
+    return reject(error);
+  }
+  const { namespace, error: namespaceError } = parseNamespace(req.body.namespace);
+  if (namespaceError) {
+    return reject(namespaceError);
+  }
+
+  req.remoteUpload = {
+    url,
+    headers,
+    mimetype: mimetype === undefined ? undefined : normalizeMimeType(mimetype),
+    originalname: filename === undefined ? undefined : filename.trim(),
+    retention,
+    namespace
+  };
+  next();
+};
+
+const validateApiKeyRequest = (req, res, next) => {
+  const { name, scopes, expiresAt, quota } = req.body || {};
+
+  const reject = (message) => {
+    logger.warn('Invalid API key request', { reason: message, url: req.url, method: req.method, ip: req.ip });
+    return res.status(400).json({
+      error: 'Invalid parameter',
+      message
+    });
+  };
+
+  if (typeof name !== 'string' || name.trim().length === 0 || name.length > 100) {
+    return reject('name must be a non-empty string of at most 100 characters');
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => SCOPES.includes(scope))) {
+    return reject(`scopes must be a non-empty list of: ${SCOPES.join(', ')}`);
+  }
+
+  const expiry = parseDate(expiresAt === null ? undefined : expiresAt);
+  if (expiry === null || (expiry && expiry.getTime() <= Date.now())) {
+    return reject('expiresAt must be a valid ISO 8601 date in the future');
+  }
+
+  const { quota: limits, error: quotaError } = parseQuota(quota);
+  if (quotaError) {
+    return reject(quotaError);
+  }
+
+  req.apiKeyRequest = {
+    name: name.trim(),
+    scopes,
+    expiresAt: expiry ? expiry.toISOString() : null,
+    quota: limits
+  };
+  next();
+};
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+const validateWebhookRequest = (req, res, next) => {
+  const { url, events, description } = req.body || {};
+
+  const reject = (message) => {
+    logger.warn('Invalid webhook request', { reason: message, url: req.url, method: req.method, ip: req.ip });
+    return res.status(400).json({
+      error: 'Invalid parameter',
+      message
+    });
+  };
+
+  let target = null;
+  try {
+    target = typeof url === 'string' && url.length <= 2048 ? new URL(url) : null;
+  } catch (error) {
+    target = null;
+  }
+  if (!target || !['http:', 'https:'].includes(target.protocol)) {
+    return reject('url must be an absolute http or https URL');
+  }
+  if (!Array.isArray(events) || events.length === 0 || !events.every(event => EVENTS.includes(event))) {
+    return reject(`events must be a non-empty list of: ${EVENTS.join(', ')}`);
+  }
+  if (description !== undefined && description !== null && (typeof description !== 'string' || description.length > 200)) {
+    return reject('description must be a string of at most 200 characters');
+  }
+
+  req.webhookRequest = { url: target.toString(), events, description: description || null };
+  next();
+};
+
+const validateDeliveryQuery = (req, res, next) => {
+  const { webhookId, event, status } = req.query;
+  const limit = parseNonNegativeInteger(req.query.limit);
+
+  const reject = (message) => {
+    logger.warn('Invalid webhook delivery query', { query: req.query, url: req.url, method: req.method, ip: req.ip });
+    return res.status(400).json({
+      error: 'Invalid parameter',
+      message
+    });
+  };
+
+  if (limit !== undefined && !(limit >= 1 && limit <= 500)) {
+    return reject('limit must be an integer between 1 and 500');
+  }
+  if (event !== undefined && !EVENTS.includes(event)) {
+    return reject(`event must be one of: ${EVENTS.join(', ')}`);
+  }
+  if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+    return reject(`status must be one of: ${DELIVERY_STATUSES.join(', ')}`);
+  }
+  if (webhookId !== undefined && typeof webhookId !== 'string') {
+    return reject('webhookId must be a string');
+  }
+
+  req.deliveryQuery = { webhookId, event, status, limit: limit || 50 };
+  next();
+};
+
+const AUDIT_FORMATS = ['json', 'ndjson', 'csv'];
+
+const validateAuditQuery = (req, res, next) => {
+  const { filename, actor, action, outcome, format = 'json' } = req.query;
+  const limit = parseNonNegativeInteger(req.query.limit);
+  const from = parseDate(req.query.from);
+  const to = parseDate(req.query.to);
+
+  const reject = (message) => {
+    logger.warn('Invalid audit query', { query: req.query, url: req.url, method: req.method, ip: req.ip });
+    return res.status(400).json({
+      error: 'Invalid parameter',
+      message
+    });
+  };
+
+  if (limit !== undefined && !(limit >= 1 && limit <= 1000)) {
+    return reject('limit must be an integer between 1 and 1000');
+  }
+  if (action !== undefined && !AUDIT_ACTIONS.includes(action)) {
+    return reject(`action must be one of: ${AUDIT_ACTIONS.join(', ')}`);
+  }
+  if (outcome !== undefined && !AUDIT_OUTCOMES.includes(outcome)) {
+    return reject(`outcome must be one of: ${AUDIT_OUTCOMES.join(', ')}`);
+  }
+  if (!AUDIT_FORMATS.includes(format)) {
+    return reject(`format must be one of: ${AUDIT_FORMATS.join(', ')}`);
+  }
+  if (from === null || to === null) {
+    return reject('from and to must be valid ISO 8601 dates');
+  }
+  if ([filename, actor].some(value => value !== undefined && typeof value !== 'string')) {
+    return reject('filename and actor must be strings');
+  }
+
+  req.auditQuery = { filename, actor, action, outcome, from, to, limit };
+  req.auditFormat = format;
+  next();
+};
+
+const validateVariantQuery = (req, res, next) => {
+  const { w, h, fit, format } = req.query;
+
+  if ([w, h, fit, format].every(value => value === undefined)) {
+    req.variant = null;
+    return next();
+  }
+
+  const reject = (message) => {
+    logger.warn('Invalid image variant request', { query: req.query, url: req.url, ip: req.ip });
+    return res.status(400).json({
+      error: 'Invalid parameter',
+      message
+    });
+  };
+
+  const sizes = environment.imageVariantSizes;
+  const width = parseNonNegativeInteger(w);
+  const height = parseNonNegativeInteger(h);
+
+  if (width === undefined && height === undefined) {
+    return reject('w or h is required to request an image variant');
+  }
+  if ([width, height].some(size => size !== undefined && !sizes.includes(size))) {
+    return reject(`w and h must be one of: ${sizes.join(', ')}`);
+  }
+  if (fit !== undefined && !FITS.includes(fit)) {
+    return reject(`fit must be one of: ${FITS.join(', ')}`);
+  }
+  if (format !== undefined && !Object.keys(FORMATS).includes(format)) {
+    return reject(`format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+  }
 
+  req.variant = { width, height, fit: fit || 'cover', format };
   next();
 };
 
 module.exports = {
+  normalizeMimeType,
+  isAllowedMimeType,
   validateFilename,
-  validateFileUpload
+  validateFileUpload,
+  validateBatchDelete,
+  validateListQuery,
+  validateExportRequest,
+  validateSignOptions,
+  validateSignRequest,
+  validateDeleteOptions,
+  parseRetention,
+  parseNamespace,
+  validateUploadOptions,
+  validateNamespaceParam,
+  validateRemoteUpload,
+  validateApiKeyRequest,
+  validateQuotaRequest,
+  validateWebhookRequest,
+  validateDeliveryQuery,
+  validateAuditQuery,
+  validateVariantQuery
 }; 
\ No newline at end of file
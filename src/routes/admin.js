@@ -0,0 +1,955 @@
+const express = require('express');
+const logger = require('../config/logger');
+const { authenticate, requireScope, keyLogMeta } = require('../middleware/auth');
+const {
+  validateApiKeyRequest,
+  validateQuotaRequest,
+  validateWebhookRequest,
+  validateDeliveryQuery
+} = require('../middleware/validation');
+const { createKey, listKeys, revokeKey, rotateKey, setClientQuota } = require('../services/apiKeyStore');
+const { getSweeperStatus } = require('../services/retention');
+const { getPurgerStatus } = require('../services/trash');
+const { createWebhook, listWebhooks, deleteWebhook, listDeliveries } = require('../services/webhooks');
+const { storage } = require('../storage');
+
+const router = express.Router();
+
+router.use('/admin', authenticate, requireScope('admin'), express.json());
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: "9f86d081884c7d65"
+ *         clientId:
+ *           type: string
+ *           description: Client the key belongs to; rotated keys keep the client, its usage and its quota
+ *           example: "9f86d081884c7d65"
+ *         name:
+ *           type: string
+ *           example: "telegram-worker"
+ *         prefix:
+ *           type: string
+ *           description: First characters of the secret, to help identify the key
+ *           example: "cmb_Xk3a"
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [upload, delete, read, admin]
+ *           example: ["upload", "read"]
+ *         quota:
+ *           allOf:
+ *             - $ref: '#/components/schemas/Quota'
+ *           nullable: true
+ *           description: Storage limits of the client; null or missing limits use the configured defaults
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         rotatedTo:
+ *           type: string
+ *           description: Id of the key that replaced this one
+ *         active:
+ *           type: boolean
+ *     ApiKeyWithSecret:
+ *       allOf:
+ *         - $ref: '#/components/schemas/ApiKey'
+ *         - type: object
+ *           properties:
+ *             secret:
+ *               type: string
+ *               description: The bearer token. It is only returned once and cannot be recovered later.
+ *               example: "cmb_Xk3a9..."
+ */
+
+/**
+ * @swagger
+ * /admin/keys:
+ *   post:
+ *     summary: Create an API key
+ *     description: |
+ *       Create a named API key with a set of scopes and an optional expiry.
+ *       The secret is stored hashed and is only returned in this response.
+ *       
+ *       **Authentication:** Bearer token with the `admin` scope required
+ *     tags:
+ *       - Administration
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "telegram-worker"
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [upload, delete, read, admin]
+ *                 example: ["upload", "read"]
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 example: "2025-01-01T00:00:00.000Z"
+ *               quota:
+ *                 $ref: '#/components/schemas/Quota'
+ *     responses:
+ *       201:
+ *         description: Key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiKeyWithSecret'
+ *       400:
+ *         description: Bad request - validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized - authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - the API key lacks the `admin` scope
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   get:
+ *     summary: List API keys
+ *     description: |
+ *       List every API key, including expired and revoked ones. Secrets are never returned.
+ *       
+ *       **Authentication:** Bearer token with the `admin` scope required
+ *     tags:
+ *       - Administration
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: API keys
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 keys:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ */
+router.post('/admin/keys', validateApiKeyRequest, (req, res) => {
+  const key = createKey(req.apiKeyRequest);
+  logger.info('API key created', {
+    id: key.id,
+    name: key.name,
+    scopes: key.scopes,
+    expiresAt: key.expiresAt,
+    ...keyLogMeta(req)
+  });
+  res.status(201).json(key);
+});
+
+router.get('/admin/keys', (req, res) => {
+  res.json({ keys: listKeys() });
+});
+
+/**
+ * @swagger
+ * /admin/keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     description: |
+ *       Revoke an API key immediately.
+ *       
+ *       **Authentication:** Bearer token with the `admin` scope required
+ *     tags:
+ *       - Administration
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Key revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiKey'
+ *       404:
+ *         description: Key not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete('/admin/keys/:id', (req, res) => {
+  const key = revokeKey(req.params.id);
+  if (!key) {
+    return res.status(404).json({
+      error: 'Key not found',
+      message: 'The specified API key does not exist'
+    });
+  }
+
+  logger.info('API key revoked', { id: key.id, name: key.name, ...keyLogMeta(req) });
+  res.json(key);
+});
+
+/**
+ * @swagger
+ * /admin/keys/{id}/rotate:
+ *   post:
+ *     summary: Rotate an API key
+ *     description: |
+ *       Issue a replacement key with the same name and scopes. The previous key keeps working
+ *       until the rotation grace period (`KEY_ROTATION_GRACE_SECONDS`) ends.
+ *       
+ *       **Authentication:** Bearer token with the `admin` scope required
+ *     tags:
+ *       - Administration
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Key rotated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 previous:
+ *                   $ref: '#/components/schemas/ApiKey'
+ *                 replacement:
+ *                   $ref: '#/components/schemas/ApiKeyWithSecret'
+ *       404:
+ *         description: Key not found or no longer active
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/admin/keys/:id/rotate', (req, res) => {
+  const result = rotateKey(req.params.id);
+  if (!result) {
+    return res.status(404).json({
+      error: 'Key not found',
+      message: 'The specified API key does not exist or is no longer active'
+    });
+  }
+
+  logger.info('API key rotated', {
+    id: result.previous.id,
+    replacementId: result.replacement.id,
+    previousExpiresAt: result.previous.expiresAt,
+    ...keyLogMeta(req)
+  });
+  res.json(result);
+});
+
+/**
+ * @swagger
+ * /admin/keys/{id}/quota:
+ *   put:
+ *     summary: Set the storage quota of a client
+ *     description: |
+ *       Set the total bytes and file count the client of this key may store. The quota applies to every
+ *       key of the client, including keys issued by rotation. A limit of 0 means unlimited and a
+ *       null or missing limit falls back to the configured default.
+ *       
+ *       **Authentication:** Bearer token with the `admin` scope required
+ *     tags:
+ *       - Administration
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Quota'
+ *     responses:
+ *       200:
+ *         description: Quota updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiKey'
+ *       400:
+ *         description: Bad request - validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Key not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.put('/admin/keys/:id/quota', validateQuotaRequest, (req, res) => {
+  const key = setClientQuota(req.params.id, req.quota);
+  if (!key) {
+    return res.status(404).json({
+      error: 'Key not found',
+      message: 'The specified API key does not exist'
+    });
+  }
+
+  logger.info('Client quota updated', { id: key.id, clientId: key.clientId, quota: key.quota, ...keyLogMeta(req) });
+  res.json(key);
+});
+
+/**
+ * @swagger
+ * /admin/retention:
+ *   get:
+ *     summary: Retention sweeper status
+ *     description: |
+ *       Show the retention settings and the outcome of the last run of the background sweeper
+ *       that deletes expired files.
+ *       
+ *       **Authentication:** Bearer token with the `admin` scope required
+ *     tags:
+ *       - Administration
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sweeper status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 intervalSeconds:
+ *                   type: integer
+ *                   example: 300
+ *                 tombstoneRetentionSeconds:
+ *                   type: integer
+ *                   description: How long expired files keep answering 410 Gone
+ *                   example: 2592000
+ *                 defaultRetentionSeconds:
+ *                   type: object
+ *                   description: Default lifetime per file category; 0 keeps files until deleted
+ *                   additionalProperties:
+ *                     type: integer
+ *                   example: { image: 0, audio: 7776000, video: 7776000, document: 0, spreadsheet: 0 }
+ *                 tombstones:
+ *                   type: integer
+ *                   example: 42
+ *                 running:
+ *                   type: boolean
+ *                 nextRunAt:
+ *                   type: string
+ *                   format: date-time
+ *                 lastRun:
+ *                   type: object
+ *                   nullable: true
+ *                   properties:
+ *                     startedAt:
+ *                       type: string
+ *                       format: date-time
+ *                     finishedAt:
+ *                       type: string
+ *                       format: date-time
+ *                     expired:
+ *                       type: integer
+ *                       description: Files deleted in this run
+ *                     failed:
+ *                       type: integer
+ *                       description: Expired files that could not be deleted and will be retried
+ *                     tombstonesPurged:
+ *                       type: integer
+ *                     error:
+ *                       type: string
+ *       401:
+ *         description: Unauthorized - authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - the API key lacks the `admin` scope
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/admin/retention', (req, res) => {
+  res.json(getSweeperStatus());
+});
+
+/**
+ * @swagger
+ * /admin/trash:
+ *   get:
+ *     summary: Trash purger status
+ *     description: |
+ *       Show the trash settings and the outcome of the last run of the background purger
+ *       that permanently deletes trashed files once their `purgeAt` has passed.
+ *       
+ *       **Authentication:** Bearer token with the `admin` scope required
+ *     tags:
+ *       - Administration
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Purger status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 retentionSeconds:
+ *                   type: integer
+ *                   description: How long deleted files stay restorable
+ *                   example: 604800
+ *                 intervalSeconds:
+ *                   type: integer
+ *                   example: 300
+ *                 trashed:
+ *                   type: integer
+ *                   description: Files currently in the trash
+ *                   example: 7
+ *                 running:
+ *                   type: boolean
+ *                 nextRunAt:
+ *                   type: string
+ *                   format: date-time
+ *                 lastRun:
+ *                   type: object
+ *                   nullable: true
+ *                   properties:
+ *                     startedAt:
+ *                       type: string
+ *                       format: date-time
+ *                     finishedAt:
+ *                       type: string
+ *                       format: date-time
+ *                     purged:
+ *                       type: integer
+ *                       description: Files permanently deleted in this run
+ *                     failed:
+ *                       type: integer
+ *                       description: Files that could not be deleted and will be retried
+ *                     error:
+ *                       type: string
+ *       401:
+ *         description: Unauthorized - authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - the API key lacks the `admin` scope
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/admin/trash', (req, res) => {
+  res.json(getPurgerStatus());
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Webhook:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: "3c2d1e0f9a8b7c6d"
+ *         url:
+ *           type: string
+ *           example: "https://indexer.internal/hooks/media"
+ *         events:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [file.uploaded, file.deleted, file.restored, file.expired]
+ *           example: ["file.uploaded", "file.deleted"]
+ *         description:
+ *           type: string
+ *           nullable: true
+ *           example: "Document search indexer"
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     WebhookWithSecret:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Webhook'
+ *         - type: object
+ *           properties:
+ *             secret:
+ *               type: string
+ *               description: HMAC-SHA256 signing secret. It is only returned once.
+ *               example: "whsec_R2s9..."
+ *     WebhookEvent:
+ *       type: object
+ *       description: Body POSTed to the webhook URL
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: "evt_5f1c0a9e2b7d4c3a8e6f1b2d"
+ *         type:
+ *           type: string
+ *           enum: [file.uploaded, file.deleted, file.restored, file.expired]
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         data:
+ *           type: object
+ *           description: |
+ *             The body the matching route answers with: the upload response for `file.uploaded`,
+ *             `filename`, `size`, `trashed` and `purgeAt` for `file.deleted`, the file metadata for
+ *             `file.restored`, and `filename`, `originalname`, `mimetype`, `size` and `expiresAt`
+ *             for `file.expired`
+ *     WebhookDelivery:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: Also sent as the `X-Webhook-Id` header; use it to ignore repeated deliveries
+ *           example: "dlv_9a8b7c6d5e4f3a2b1c0d9e8f"
+ *         webhookId:
+ *           type: string
+ *         event:
+ *           $ref: '#/components/schemas/WebhookEvent'
+ *         status:
+ *           type: string
+ *           enum: [pending, delivered, failed]
+ *         attempts:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *               statusCode:
+ *                 type: integer
+ *                 nullable: true
+ *                 example: 503
+ *               error:
+ *                 type: string
+ *                 nullable: true
+ *                 example: "Endpoint answered 503"
+ *               durationMs:
+ *                 type: integer
+ *                 example: 120
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         nextAttemptAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         deliveredAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /admin/webhooks:
+ *   post:
+ *     summary: Subscribe a webhook
+ *     description: |
+ *       Register a URL that receives a POST for each subscribed file lifecycle event:
+ *       `file.uploaded`, `file.deleted`, `file.restored` and `file.expired`.
+ *       
+ *       Every delivery carries `X-Webhook-Event`, `X-Webhook-Id`, `X-Webhook-Timestamp` and
+ *       `X-Webhook-Signature: sha256=<hex>`, the HMAC-SHA256 of `<timestamp>.<body>` keyed with the
+ *       webhook secret. The secret is only returned in this response.
+ *       
+ *       Deliveries are queued on disk and retried with exponential backoff until the endpoint
+ *       answers 2xx or `WEBHOOK_MAX_ATTEMPTS` is reached, also across restarts.
+ *       
+ *       **Authentication:** Bearer token with the `admin` scope required
+ *     tags:
+ *       - Administration
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - url
+ *               - events
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 example: "https://indexer.internal/hooks/media"
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [file.uploaded, file.deleted, file.restored, file.expired]
+ *               description:
+ *                 type: string
+ *                 example: "Document search indexer"
+ *     responses:
+ *       201:
+ *         description: Webhook created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookWithSecret'
+ *       400:
+ *         description: Bad request - validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized - authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - the API key lacks the `admin` scope
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   get:
+ *     summary: List webhooks
+ *     description: |
+ *       List the webhook subscriptions. Secrets are never returned.
+ *       
+ *       **Authentication:** Bearer token with the `admin` scope required
+ *     tags:
+ *       - Administration
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Webhooks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 webhooks:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Webhook'
+ */
+router.post('/admin/webhooks', validateWebhookRequest, (req, res) => {
+  const webhook = createWebhook(req.webhookRequest);
+  logger.info('Webhook created', {
+    id: webhook.id,
+    url: webhook.url,
+    events: webhook.events,
+    ...keyLogMeta(req)
+  });
+  res.status(201).json(webhook);
+});
+
+router.get('/admin/webhooks', (req, res) => {
+  res.json({ webhooks: listWebhooks() });
+});
+
+/**
+ * @swagger
+ * /admin/webhooks/deliveries:
+ *   get:
+ *     summary: Recent webhook deliveries
+ *     description: |
+ *       List the most recent deliveries, newest first, with every attempt made, so failing
+ *       endpoints can be diagnosed. Pending deliveries show when the next attempt is due.
+ *       
+ *       **Authentication:** Bearer token with the `admin` scope required
+ *     tags:
+ *       - Administration
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: webhookId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *           enum: [file.uploaded, file.deleted, file.restored, file.expired]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, delivered, failed]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 500
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Deliveries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 deliveries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookDelivery'
+ *       400:
+ *         description: Invalid query parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/admin/webhooks/deliveries', validateDeliveryQuery, (req, res) => {
+  res.json({ deliveries: listDeliveries(req.deliveryQuery) });
+});
+
+/**
+ * @swagger
+ * /admin/webhooks/{id}:
+ *   delete:
+ *     summary: Delete a webhook
+ *     description: |
+ *       Stop sending events to a webhook. Its pending deliveries are marked as failed on their next attempt.
+ *       
+ *       **Authentication:** Bearer token with the `admin` scope required
+ *     tags:
+ *       - Administration
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Webhook'
+ *       404:
+ *         description: Webhook not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete('/admin/webhooks/:id', (req, res) => {
+  const webhook = deleteWebhook(req.params.id);
+  if (!webhook) {
+    return res.status(404).json({
+      error: 'Webhook not found',
+      message: 'The specified webhook does not exist'
+    });
+  }
+
+  logger.info('Webhook deleted', { id: webhook.id, url: webhook.url, ...keyLogMeta(req) });
+  res.json(webhook);
+});
+
+/**
+ * @swagger
+ * /admin/encryption:
+ *   get:
+ *     summary: Encryption at rest status
+ *     description: |
+ *       Show whether new files are encrypted, the id of the current master key and how many stored
+ *       objects have their data key wrapped by each master key. Ids listed in `missingKeyIds` belong to
+ *       master keys that are no longer configured: the objects they wrapped cannot be read.
+ *       
+ *       **Authentication:** Bearer token with the `admin` scope required
+ *     tags:
+ *       - Administration
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Encryption status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 enabled:
+ *                   type: boolean
+ *                   description: Whether ENCRYPTION_MASTER_KEY is set and new objects are encrypted
+ *                 algorithm:
+ *                   type: string
+ *                   example: "aes-256-gcm"
+ *                 keyId:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Id of the current master key (first 16 hex digits of its SHA-256)
+ *                   example: "d8da0800e6657e8d"
+ *                 previousKeyIds:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: ["1314606da07cf244"]
+ *                 encryptedObjects:
+ *                   type: integer
+ *                   example: 42
+ *                 pendingObjects:
+ *                   type: integer
+ *                   description: Objects whose write was interrupted before it was confirmed; they read as missing
+ *                   example: 0
+ *                 objectsByKeyId:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: integer
+ *                   example: { "d8da0800e6657e8d": 40, "1314606da07cf244": 2 }
+ *                 missingKeyIds:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       401:
+ *         description: Unauthorized - authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - the API key lacks the `admin` scope
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/admin/encryption', (req, res) => {
+  res.json(storage.getStatus());
+});
+
+/**
+ * @swagger
+ * /admin/encryption/rewrap:
+ *   post:
+ *     summary: Re-wrap data keys under the current master key
+ *     description: |
+ *       Wrap the data key of every encrypted object that is still under a previous master key again
+ *       with the current one. Only the key index changes; file contents are not read or rewritten,
+ *       so this is quick even for large volumes.
+ *       
+ *       To rotate the master key, set the new key as `ENCRYPTION_MASTER_KEY`, move the old one to
+ *       `ENCRYPTION_PREVIOUS_KEYS`, restart, call this endpoint and remove the old key once
+ *       `failed` is empty.
+ *       
+ *       **Authentication:** Bearer token with the `admin` scope required
+ *     tags:
+ *       - Administration
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Data keys re-wrapped
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 keyId:
+ *                   type: string
+ *                   description: Id of the master key now wrapping the data keys
+ *                   example: "d8da0800e6657e8d"
+ *                 rewrapped:
+ *                   type: integer
+ *                   example: 2
+ *                 unchanged:
+ *                   type: integer
+ *                   description: Objects already under the current master key
+ *                   example: 40
+ *                 failed:
+ *                   type: array
+ *                   description: Objects whose master key is not configured; they stay as they were
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       key:
+ *                         type: string
+ *                       error:
+ *                         type: string
+ *       409:
+ *         description: Encryption is not enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/admin/encryption/rewrap', async (req, res) => {
+  if (!storage.getStatus().enabled) {
+    return res.status(409).json({
+      error: 'Encryption not enabled',
+      message: 'Set ENCRYPTION_MASTER_KEY to the new master key before re-wrapping data keys'
+    });
+  }
+
+  const result = await storage.rewrapKeys();
+  logger.info('Encryption data keys re-wrapped', {
+    masterKeyId: result.keyId,
+    rewrapped: result.rewrapped,
+    unchanged: result.unchanged,
+    failed: result.failed.length,
+    ...keyLogMeta(req)
+  });
+  res.json(result);
+});
+
+module.exports = router;
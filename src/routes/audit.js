@@ -0,0 +1,233 @@
+const express = require('express');
+const { once } = require('events');
+const logger = require('../config/logger');
+const { authenticate, requireScope } = require('../middleware/auth');
+const { validateAuditQuery } = require('../middleware/validation');
+const { CSV_COLUMNS, readAuditEntries, queryAudit, toCsvRow } = require('../services/auditLog');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditEntry:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: "5f1c0a9e2b7d4c3a"
+ *         at:
+ *           type: string
+ *           format: date-time
+ *           example: "2024-01-15T10:30:00.000Z"
+ *         action:
+ *           type: string
+ *           enum: [upload, download, delete, restore, auth]
+ *           description: The operation; `auth` entries are failed authentications on any route
+ *         outcome:
+ *           type: string
+ *           enum: [success, denied, rejected, error]
+ *           description: |
+ *             `success` for 2xx/3xx, `denied` for 401/403, `rejected` for other 4xx
+ *             (validation, missing files, ...) and `error` for 5xx
+ *         status:
+ *           type: integer
+ *           example: 200
+ *         actor:
+ *           type: object
+ *           nullable: true
+ *           description: API key behind the request; null for unauthenticated requests and public downloads
+ *           properties:
+ *             keyId:
+ *               type: string
+ *               example: "9f86d081884c7d65"
+ *             keyName:
+ *               type: string
+ *               example: "telegram-worker"
+ *             clientId:
+ *               type: string
+ *               example: "9f86d081884c7d65"
+ *         ip:
+ *           type: string
+ *           example: "203.0.113.7"
+ *         userAgent:
+ *           type: string
+ *           nullable: true
+ *         method:
+ *           type: string
+ *           example: "DELETE"
+ *         path:
+ *           type: string
+ *           example: "/delete"
+ *         filename:
+ *           type: string
+ *           nullable: true
+ *           example: "123e4567-e89b-12d3-a456-426614174000.jpg"
+ *         originalname:
+ *           type: string
+ *           nullable: true
+ *           example: "photo.jpg"
+ *         size:
+ *           type: integer
+ *           nullable: true
+ *           example: 2048576
+ *         reason:
+ *           type: string
+ *           nullable: true
+ *           description: Error type of a failed operation
+ *           example: "File not found"
+ */
+
+/**
+ * @swagger
+ * /audit:
+ *   get:
+ *     summary: Query the audit log
+ *     description: |
+ *       Search the append-only audit log of uploads, downloads, deletes, restores, failed
+ *       authentications and rejected requests.
+ *
+ *       With `format=json` (default) the most recent `limit` matching entries are returned, newest
+ *       first. `format=ndjson` and `format=csv` export every matching entry, oldest first, as a
+ *       streamed download; `limit` is ignored for exports.
+ *
+ *       **Authentication:** Bearer token with the `admin` scope required
+ *     tags:
+ *       - Administration
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: filename
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *         description: API key id, key name or client id
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [upload, download, delete, restore, auth]
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *           enum: [success, denied, rejected, error]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only entries at or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only entries at or before this date
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, ndjson, csv]
+ *           default: json
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 1000
+ *     responses:
+ *       200:
+ *         description: Matching audit entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditEntry'
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *               description: One AuditEntry JSON object per line
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *               description: Header row, then one row per entry with the actor split into actorKeyId, actorKeyName and actorClientId
+ *       400:
+ *         description: Bad request - invalid filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               error: "Invalid parameter"
+ *               message: "action must be one of: upload, download, delete, restore, auth"
+ *       401:
+ *         description: Unauthorized - authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - the API key lacks the `admin` scope
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/audit',
+  authenticate,
+  requireScope('admin'),
+  validateAuditQuery,
+  async (req, res) => {
+    const { limit, ...filters } = req.auditQuery;
+
+    if (req.auditFormat === 'json') {
+      try {
+        return res.json({ entries: await queryAudit({ ...filters, limit: limit || 100 }) });
+      } catch (error) {
+        logger.error('Error querying audit log', { error: error.message });
+        return res.status(500).json({
+          error: 'Audit query failed',
+          message: 'An error occurred while reading the audit log'
+        });
+      }
+    }
+
+    const csv = req.auditFormat === 'csv';
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    res.set({
+      'Content-Type': csv ? 'text/csv; charset=utf-8' : 'application/x-ndjson',
+      'Content-Disposition': `attachment; filename="audit-${stamp}.${csv ? 'csv' : 'ndjson'}"`
+    });
+    if (csv) {
+      res.write(`${CSV_COLUMNS.join(',')}\n`);
+    }
+
+    // The export is streamed line by line, so a large log is never held in memory.
+    try {
+      for await (const entry of readAuditEntries(filters)) {
+        if (res.destroyed) {
+          break;
+        }
+        if (!res.write(`${csv ? toCsvRow(entry) : JSON.stringify(entry)}\n`)) {
+          await Promise.race([once(res, 'drain'), once(res, 'close')]);
+        }
+      }
+      res.end();
+    } catch (error) {
+      logger.error('Error exporting audit log', { error: error.message });
+      res.destroy(error);
+    }
+  }
+);
+
+module.exports = router;
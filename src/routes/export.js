@@ -0,0 +1,189 @@
+const express = require('express');
+const { Readable, pipeline } = require('stream');
+const logger = require('../config/logger');
+const environment = require('../config/environment');
+const { authenticate, requireScope, keyLogMeta } = require('../middleware/auth');
+const { audit, auditRequest } = require('../middleware/audit');
+const { rateLimit } = require('../middleware/rateLimit');
+const { validateExportRequest } = require('../middleware/validation');
+const { selectExportFiles, createExportArchive } = require('../services/fileExport');
+const { servedBytes } = require('../services/metrics');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /export:
+ *   post:
+ *     summary: Download several files as a ZIP archive
+ *     description: |
+ *       Stream a ZIP archive of the selected files, for example every attachment of a chat. Files are
+ *       selected either by `filenames` or with a `filter` taking the filters of `GET /files`, such as
+ *       `namespace`. Each file is stored under its original name; names that collide get a suffix
+ *       (`photo.jpg`, `photo (1).jpg`, ...). The archive starts with `manifest.json`, which maps every
+ *       entry to its file and lists the files that were skipped (`not_found`, `expired`,
+ *       `pending_scan` or `quarantined`).
+ *
+ *       The archive is generated while it is sent and has no `Content-Length`. Closing the connection
+ *       cancels the export. A file that cannot be read midway aborts the download, leaving an
+ *       incomplete archive.
+ *
+ *       **Limits:** `EXPORT_MAX_FILES` files per archive (default 1000)
+ *
+ *       **Authentication:** Bearer token with the `read` scope required
+ *     tags:
+ *       - File Access
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               filenames:
+ *                 type: array
+ *                 description: Files to export, in archive order (cannot be combined with `filter`)
+ *                 items:
+ *                   type: string
+ *                 example: ["123e4567-e89b-12d3-a456-426614174000.jpg", "7c9e6679-7425-40de-944b-e07fc1f90ae7.ogg"]
+ *               filter:
+ *                 type: object
+ *                 description: Export every matching file, newest upload first; at least one filter is required
+ *                 properties:
+ *                   namespace:
+ *                     type: string
+ *                     example: "acme:chat-42"
+ *                   mimetype:
+ *                     type: string
+ *                     description: Exact MIME type or a wildcard such as `image/*`
+ *                   from:
+ *                     type: string
+ *                     format: date-time
+ *                   to:
+ *                     type: string
+ *                     format: date-time
+ *                   minSize:
+ *                     type: integer
+ *                   maxSize:
+ *                     type: integer
+ *           examples:
+ *             byNamespace:
+ *               summary: Every file of a conversation
+ *               value:
+ *                 filter:
+ *                   namespace: "acme:chat-42"
+ *             byFilename:
+ *               summary: Chosen files
+ *               value:
+ *                 filenames: ["123e4567-e89b-12d3-a456-426614174000.jpg"]
+ *     responses:
+ *       200:
+ *         description: ZIP archive
+ *         headers:
+ *           Content-Disposition:
+ *             schema:
+ *               type: string
+ *             example: 'attachment; filename="export-20240115T103000Z.zip"'
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid selection
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               error: "Invalid parameter"
+ *               message: "Either filenames or filter is required, but not both"
+ *       401:
+ *         description: Unauthorized - authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - the API key lacks the `read` scope
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       413:
+ *         description: The filter matches more than `EXPORT_MAX_FILES` files
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               error: "Too many files"
+ *               message: "The filter matches 1500 files; at most 1000 can be exported at once"
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.post('/export',
+  authenticate,
+  requireScope('read'),
+  // Archives that are sent are audited per file as they are written; only refused requests get an entry here.
+  audit('download', { skip: (req, res) => res.statusCode === 200 }),
+  rateLimit('download'),
+  express.json(),
+  validateExportRequest,
+  (req, res) => {
+    const selection = req.exportSelection;
+    let exported;
+    try {
+      exported = selectExportFiles(selection);
+    } catch (error) {
+      logger.error('Error selecting files to export', { error: error.message });
+      return res.status(500).json({
+        error: 'Export failed',
+        message: 'An error occurred while preparing the export'
+      });
+    }
+
+    const { files, skipped } = exported;
+    if (files.length > environment.exportMaxFiles) {
+      logger.warn('Export too large', { count: files.length, max: environment.exportMaxFiles, ...keyLogMeta(req) });
+      return res.status(413).json({
+        error: 'Too many files',
+        message: `The filter matches ${files.length} files; at most ${environment.exportMaxFiles} can be exported at once`
+      });
+    }
+
+    let written = 0;
+    const archive = Readable.from(createExportArchive({ selection, files, skipped }, {
+      onEntry: record => {
+        written += 1;
+        servedBytes.inc({}, record.size);
+        auditRequest(req, {
+          action: 'download',
+          status: 200,
+          filename: record.filename,
+          originalname: record.originalname,
+          size: record.size
+        });
+      }
+    }));
+
+    const stamp = new Date().toISOString().replace(/[-:]|\.\d+/g, '');
+    res.attachment(`export-${stamp}.zip`);
+    res.set('X-Content-Type-Options', 'nosniff');
+    logger.info('Export started', { count: files.length, skipped: skipped.length, ip: req.ip, ...keyLogMeta(req) });
+
+    pipeline(archive, res, (error) => {
+      if (!error) {
+        logger.info('Export finished', { count: written, ip: req.ip, ...keyLogMeta(req) });
+      } else if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+        logger.info('Export cancelled by the client', { written, count: files.length, ip: req.ip, ...keyLogMeta(req) });
+      } else {
+        logger.error('Export interrupted', { error: error.message, written, count: files.length, ip: req.ip, ...keyLogMeta(req) });
+      }
+    });
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,147 @@
+const express = require('express');
+const logger = require('../config/logger');
+const { checkReadiness } = require('../services/health');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /healthz:
+ *   get:
+ *     summary: Liveness probe
+ *     description: |
+ *       Answers as long as the process is running and serving requests. It checks no dependencies,
+ *       so a full disk or an unmounted volume never gets the process restarted; use `/readyz` for those.
+ *       
+ *       **Authentication:** None
+ *     tags:
+ *       - Monitoring
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: The process is alive
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "ok"
+ *                 uptimeSeconds:
+ *                   type: integer
+ *                   example: 3600
+ */
+router.get('/healthz', (req, res) => {
+  res.json({
+    status: 'ok',
+    uptimeSeconds: Math.floor(process.uptime())
+  });
+});
+
+/**
+ * @swagger
+ * /readyz:
+ *   get:
+ *     summary: Readiness probe
+ *     description: |
+ *       Checks every dependency and answers `503` when the instance should not receive traffic:
+ *       
+ *       - `storage`: writes, reads back and deletes a probe object in the storage backend (`VOLUME_PATH` on local disk)
+ *       - `disk`: free space on the storage volume against `READINESS_MIN_FREE_BYTES`
+ *       - `dataPath`: `DATA_PATH`, where the indexes are kept, is writable
+ *       - `clamd`: answers `PING` when malware scanning is on; only required in `sync` mode
+ *       
+ *       Readiness also fails as soon as the process receives `SIGTERM`, for `SHUTDOWN_DRAIN_SECONDS`
+ *       before the server stops accepting connections, so load balancers stop routing to it first.
+ *       
+ *       **Authentication:** None
+ *     tags:
+ *       - Monitoring
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Ready to receive traffic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReadinessResponse'
+ *       503:
+ *         description: A required dependency is failing, or the process is shutting down
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReadinessResponse'
+ *             example:
+ *               status: "not ready"
+ *               checks:
+ *                 storage:
+ *                   status: "ok"
+ *                   required: true
+ *                   durationMs: 3
+ *                 disk:
+ *                   status: "failing"
+ *                   required: true
+ *                   durationMs: 0
+ *                   error: "Free disk space is below the threshold"
+ *                   freeBytes: 52428800
+ *                   sizeBytes: 10737418240
+ *                   minFreeBytes: 104857600
+ *                 dataPath:
+ *                   status: "ok"
+ *                   required: true
+ *                   durationMs: 1
+ *                 clamd:
+ *                   status: "ok"
+ *                   required: false
+ *                   durationMs: 0
+ *                   skipped: "Malware scanning is off"
+ * components:
+ *   schemas:
+ *     ReadinessResponse:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: string
+ *           enum: [ready, not ready, shutting down]
+ *         checks:
+ *           type: object
+ *           description: One entry per dependency
+ *           additionalProperties:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [ok, failing]
+ *               required:
+ *                 type: boolean
+ *                 description: Whether a failure makes the instance not ready
+ *               durationMs:
+ *                 type: integer
+ *               error:
+ *                 type: string
+ *               skipped:
+ *                 type: string
+ *                 description: Why the check did not apply
+ */
+router.get('/readyz', async (req, res) => {
+  try {
+    const { ready, status, checks } = await checkReadiness();
+    if (!ready) {
+      logger.warn('Readiness check failed', {
+        status,
+        failing: Object.keys(checks).filter(name => checks[name].status !== 'ok')
+      });
+    }
+    res.set('Cache-Control', 'no-store');
+    res.status(ready ? 200 : 503).json({ status, checks });
+  } catch (error) {
+    logger.error('Error checking readiness', { error: error.message });
+    res.status(503).json({
+      error: 'Readiness check failed',
+      message: 'An error occurred while checking dependencies'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,79 @@
+const express = require('express');
+const logger = require('../config/logger');
+const environment = require('../config/environment');
+const { renderMetrics, authFailures } = require('../services/metrics');
+const { sameSecret } = require('../services/apiKeyStore');
+
+const router = express.Router();
+
+// Scrapers authenticate with METRICS_TOKEN instead of an API key, so they need no access to files.
+const requireMetricsToken = (req, res, next) => {
+  if (!environment.metricsToken) {
+    return next();
+  }
+
+  const header = req.headers['authorization'] || '';
+  if (!header.startsWith('Bearer ') || !sameSecret(header.slice('Bearer '.length), environment.metricsToken)) {
+    logger.warn('Invalid metrics token', { ip: req.ip, url: req.url });
+    authFailures.inc({ reason: 'invalid_metrics_token' });
+    return res.status(401).json({
+      error: 'Invalid token',
+      message: 'Invalid authorization token'
+    });
+  }
+  next();
+};
+
+/**
+ * @swagger
+ * /metrics:
+ *   get:
+ *     summary: Prometheus metrics
+ *     description: |
+ *       Metrics in the Prometheus text exposition format:
+ *       
+ *       - `http_requests_total` and `http_request_duration_seconds` by method, route and status
+ *       - `bucket_uploaded_bytes_total` and `bucket_served_bytes_total`
+ *       - `bucket_upload_rejections_total` by reason and `bucket_auth_failures_total` by reason
+ *       - `bucket_files` (live and trashed), `bucket_stored_bytes`, and `bucket_volume_size_bytes` /
+ *         `bucket_volume_free_bytes` for the local storage volume
+ *       
+ *       **Authentication:** `Bearer <METRICS_TOKEN>` when `METRICS_TOKEN` is set, otherwise none
+ *     tags:
+ *       - Monitoring
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     responses:
+ *       200:
+ *         description: Current metrics
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *             example: |
+ *               # HELP bucket_files Stored files, live or in the trash
+ *               # TYPE bucket_files gauge
+ *               bucket_files{state="live"} 128
+ *               bucket_files{state="trashed"} 3
+ *       401:
+ *         description: Unauthorized - METRICS_TOKEN is set and was not sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/metrics', requireMetricsToken, async (req, res) => {
+  try {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(await renderMetrics());
+  } catch (error) {
+    logger.error('Error rendering metrics', { error: error.message });
+    res.status(500).json({
+      error: 'Metrics unavailable',
+      message: 'An error occurred while collecting metrics'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,273 @@
+const express = require('express');
+const logger = require('../config/logger');
+const environment = require('../config/environment');
+const { authenticate, requireScope, keyLogMeta } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { rateLimit } = require('../middleware/rateLimit');
+const { validateListQuery, validateNamespaceParam } = require('../middleware/validation');
+const { metadataStore } = require('../services/metadataStore');
+const { eraseNamespace } = require('../services/namespaces');
+const { emitEvent } = require('../services/webhooks');
+
+const router = express.Router();
+
+const toFileResponse = ({ storageKey, variants, ...record }) => ({
+  filePath: `${environment.baseUrl}/files/${record.filename}`,
+  ...record
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     NamespaceErasureReceipt:
+ *       type: object
+ *       properties:
+ *         message:
+ *           type: string
+ *           example: "Namespace erased"
+ *         namespace:
+ *           type: string
+ *           example: "acme:chat-42"
+ *         erasedAt:
+ *           type: string
+ *           format: date-time
+ *           example: "2024-01-15T10:30:00.000Z"
+ *         count:
+ *           type: integer
+ *           description: Number of files permanently deleted
+ *           example: 2
+ *         size:
+ *           type: integer
+ *           description: Total size of the deleted files in bytes
+ *           example: 3072000
+ *         filenames:
+ *           type: array
+ *           description: Every file that was deleted
+ *           items:
+ *             type: string
+ *           example: ["123e4567-e89b-12d3-a456-426614174000.jpg", "7c9e6679-7425-40de-944b-e07fc1f90ae7.ogg"]
+ *         liveFilenames:
+ *           type: array
+ *           description: The deleted files that were live; a `file.deleted` event is sent for each
+ *           items:
+ *             type: string
+ *           example: ["123e4567-e89b-12d3-a456-426614174000.jpg"]
+ *         trashedFilenames:
+ *           type: array
+ *           description: The deleted files that were already in the trash
+ *           items:
+ *             type: string
+ *           example: ["7c9e6679-7425-40de-944b-e07fc1f90ae7.ogg"]
+ *         tombstones:
+ *           type: integer
+ *           description: |
+ *             Tombstones forgotten: records of files of the namespace that had already expired and were
+ *             answering `410 Gone`. They answer `404` afterwards.
+ *           example: 0
+ *         failed:
+ *           type: array
+ *           description: Files that could not be deleted and are still stored
+ *           items:
+ *             type: object
+ *             properties:
+ *               filename:
+ *                 type: string
+ *               error:
+ *                 type: string
+ */
+
+/**
+ * @swagger
+ * /namespaces/{id}/files:
+ *   get:
+ *     summary: List the files of a namespace
+ *     description: |
+ *       List the files uploaded with this `namespace` (a tenant, chat or conversation id), newest
+ *       upload first. Accepts the same filters and pagination as `GET /files`; trashed files are
+ *       not listed.
+ *
+ *       **Authentication:** Bearer token with the `read` scope required
+ *     tags:
+ *       - Namespaces
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[A-Za-z0-9][A-Za-z0-9._:-]{0,127}$'
+ *         example: "acme:chat-42"
+ *       - in: query
+ *         name: mimetype
+ *         schema:
+ *           type: string
+ *         description: Exact MIME type or a wildcard such as `image/*`
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Page of file metadata; an unknown namespace has no files
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FileListResponse'
+ *       400:
+ *         description: Invalid namespace or query parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized - authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - the API key lacks the `read` scope
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.get('/namespaces/:id/files',
+  authenticate,
+  requireScope('read'),
+  rateLimit('download'),
+  validateNamespaceParam,
+  validateListQuery,
+  (req, res) => {
+    try {
+      const result = metadataStore.list({ ...req.listQuery, namespace: req.params.id, trashed: false });
+      res.json({ ...result, files: result.files.map(toFileResponse) });
+    } catch (error) {
+      logger.error('Error listing namespace files', { namespace: req.params.id, error: error.message });
+      res.status(500).json({
+        error: 'Listing failed',
+        message: 'An error occurred while listing files'
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /namespaces/{id}:
+ *   delete:
+ *     summary: Erase a namespace
+ *     description: |
+ *       Permanently delete every file of the namespace, for example to honour a request to erase
+ *       all media of a conversation. Files in the trash are deleted as well and nothing can be
+ *       restored afterwards. The stored bytes are removed unless a file outside the namespace has
+ *       identical content. A `file.deleted` webhook event is sent for every file that was live;
+ *       files already in the trash had theirs when they were trashed.
+ *       
+ *       Namespaces group the metadata of files, not their storage: every namespace shares the same
+ *       content-addressed storage, so identical content uploaded in two namespaces is stored once.
+ *
+ *       The response is a deletion receipt listing every file removed. It is `200` when every file
+ *       was deleted and `207` when some could not be; erasing the namespace again retries those.
+ *
+ *       **Authentication:** Bearer token with the `delete` scope required
+ *     tags:
+ *       - Namespaces
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "acme:chat-42"
+ *     responses:
+ *       200:
+ *         description: Every file of the namespace was deleted (also when it had none)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NamespaceErasureReceipt'
+ *       207:
+ *         description: Some files could not be deleted; see `failed`
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NamespaceErasureReceipt'
+ *       400:
+ *         description: Invalid namespace
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized - authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - the API key lacks the `delete` scope
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.delete('/namespaces/:id',
+  authenticate,
+  requireScope('delete'),
+  audit('delete'),
+  rateLimit('delete'),
+  validateNamespaceParam,
+  async (req, res) => {
+    const namespace = req.params.id;
+    try {
+      const { deleted, ...receipt } = await eraseNamespace(namespace);
+
+      deleted.filter(record => !record.trashedAt).forEach(record => emitEvent('file.deleted', {
+        filename: record.filename,
+        size: record.size,
+        trashed: false,
+        purgeAt: null
+      }));
+      logger.info('Namespace erased', {
+        namespace,
+        count: receipt.count,
+        size: receipt.size,
+        filenames: receipt.filenames,
+        trashed: receipt.trashedFilenames.length,
+        failed: receipt.failed.length,
+        ip: req.ip,
+        ...keyLogMeta(req)
+      });
+
+      res.status(receipt.failed.length > 0 ? 207 : 200).json({
+        message: 'Namespace erased',
+        ...receipt
+      });
+    } catch (error) {
+      logger.error('Error erasing namespace', { namespace, error: error.message });
+      res.status(500).json({
+        error: 'Erase failed',
+        message: 'An error occurred while erasing the namespace'
+      });
+    }
+  }
+);
+
+module.exports = router;
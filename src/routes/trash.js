@@ -0,0 +1,304 @@
+const express = require('express');
+const logger = require('../config/logger');
+const environment = require('../config/environment');
+const { authenticate, requireScope, keyLogMeta } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { rateLimit } = require('../middleware/rateLimit');
+const { validateListQuery } = require('../middleware/validation');
+const { metadataStore } = require('../services/metadataStore');
+const { restoreFile, purgeFile } = require('../services/trash');
+const { emitEvent } = require('../services/webhooks');
+
+const router = express.Router();
+
+const toFileResponse = ({ storageKey, variants, ...record }) => ({
+  filePath: `${environment.baseUrl}/files/${record.filename}`,
+  ...record
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TrashedFile:
+ *       allOf:
+ *         - $ref: '#/components/schemas/FileMetadata'
+ *         - type: object
+ *           properties:
+ *             trashedAt:
+ *               type: string
+ *               format: date-time
+ *               description: When the file was deleted
+ *               example: "2024-01-15T10:30:00.000Z"
+ *             purgeAt:
+ *               type: string
+ *               format: date-time
+ *               description: When the file will be permanently deleted
+ *               example: "2024-01-22T10:30:00.000Z"
+ *     TrashListResponse:
+ *       type: object
+ *       properties:
+ *         files:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/TrashedFile'
+ *         page:
+ *           type: integer
+ *           example: 1
+ *         limit:
+ *           type: integer
+ *           example: 50
+ *         total:
+ *           type: integer
+ *           example: 3
+ */
+
+/**
+ * @swagger
+ * /trash:
+ *   get:
+ *     summary: List deleted files that can still be restored
+ *     description: |
+ *       List the files in the trash, newest upload first. Deleted files stay here for
+ *       `TRASH_RETENTION_SECONDS` (default 7 days) and are then permanently deleted.
+ *       Accepts the same filters and pagination as `GET /files`.
+ *
+ *       **Authentication:** Bearer token with the `read` scope required
+ *     tags:
+ *       - Trash
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: mimetype
+ *         schema:
+ *           type: string
+ *         description: Exact MIME type or a wildcard such as `image/*`
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Page of trashed files
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TrashListResponse'
+ *       400:
+ *         description: Bad request - invalid filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized - authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/trash',
+  authenticate,
+  requireScope('read'),
+  validateListQuery,
+  (req, res) => {
+    try {
+      const result = metadataStore.list({ ...req.listQuery, trashed: true });
+      res.json({ ...result, files: result.files.map(({ storageKey, variants, ...record }) => record) });
+    } catch (error) {
+      logger.error('Error listing trash', { error: error.message });
+      res.status(500).json({
+        error: 'Listing failed',
+        message: 'An error occurred while listing the trash'
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /files/{filename}/restore:
+ *   post:
+ *     summary: Restore a deleted file from the trash
+ *     description: |
+ *       Bring a file back from the trash under its original filename, with its metadata,
+ *       retention and scan result unchanged.
+ *
+ *       **Authentication:** Bearer token with the `delete` scope required
+ *     tags:
+ *       - Trash
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: filename
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "123e4567-e89b-12d3-a456-426614174000.jpg"
+ *     responses:
+ *       200:
+ *         description: File restored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FileMetadata'
+ *       401:
+ *         description: Unauthorized - authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - the API key lacks the `delete` scope
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: The file is not in the trash
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               error: "File not found"
+ *               message: "The specified file is not in the trash"
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.post('/files/:filename/restore',
+  authenticate,
+  requireScope('delete'),
+  audit('restore'),
+  rateLimit('delete'),
+  async (req, res) => {
+    const { filename } = req.params;
+    try {
+      const restored = await restoreFile(filename);
+      if (!restored) {
+        logger.warn('File not found in trash', { filename, ip: req.ip, ...keyLogMeta(req) });
+        return res.status(404).json({
+          error: 'File not found',
+          message: 'The specified file is not in the trash'
+        });
+      }
+
+      logger.info('File restored from trash', { filename, size: restored.size, ip: req.ip, ...keyLogMeta(req) });
+      const response = toFileResponse(restored);
+      emitEvent('file.restored', response);
+      res.json(response);
+    } catch (error) {
+      logger.error('Error restoring file', { filename, error: error.message });
+      res.status(500).json({
+        error: 'Restore failed',
+        message: 'An error occurred while restoring the file'
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /trash/{filename}:
+ *   delete:
+ *     summary: Permanently delete a file from the trash
+ *     description: |
+ *       Purge a trashed file now instead of waiting for `purgeAt`. This operation is irreversible.
+ *
+ *       **Authentication:** Bearer token with the `delete` scope required
+ *     tags:
+ *       - Trash
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: filename
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "123e4567-e89b-12d3-a456-426614174000.jpg"
+ *     responses:
+ *       200:
+ *         description: File permanently deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FileDeleteResponse'
+ *             example:
+ *               message: "File successfully deleted"
+ *               filename: "123e4567-e89b-12d3-a456-426614174000.jpg"
+ *               size: 2048576
+ *               trashed: false
+ *               purgeAt: null
+ *       401:
+ *         description: Unauthorized - authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - the API key lacks the `delete` scope
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: The file is not in the trash
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.delete('/trash/:filename',
+  authenticate,
+  requireScope('delete'),
+  audit('delete'),
+  rateLimit('delete'),
+  async (req, res) => {
+    const { filename } = req.params;
+    try {
+      const deleted = await purgeFile(filename);
+      if (!deleted) {
+        logger.warn('File not found in trash', { filename, ip: req.ip, ...keyLogMeta(req) });
+        return res.status(404).json({
+          error: 'File not found',
+          message: 'The specified file is not in the trash'
+        });
+      }
+
+      logger.info('Trashed file purged', {
+        filename,
+        size: deleted.size,
+        remainingReferences: deleted.remainingReferences,
+        ip: req.ip,
+        ...keyLogMeta(req)
+      });
+      res.json({
+        message: 'File successfully deleted',
+        filename,
+        size: deleted.size,
+        trashed: false,
+        purgeAt: null
+      });
+    } catch (error) {
+      logger.error('Error purging trashed file', { filename, error: error.message });
+      res.status(500).json({
+        error: 'Delete failed',
+        message: 'An error occurred while deleting the file'
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,571 @@
+const express = require('express');
+const fs = require('fs');
+const mime = require('mime-types');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const logger = require('../config/logger');
+const environment = require('../config/environment');
+const { authenticate, requireScope, keyLogMeta } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { rateLimit, limitConcurrentUploads } = require('../middleware/rateLimit');
+const { rejectOverQuota } = require('../middleware/quota');
+const { normalizeMimeType, isAllowedMimeType, parseRetention, parseNamespace } = require('../middleware/validation');
+const { storeUpload, completeUpload, uploadFailure } = require('../services/uploadService');
+const { checkUploadPolicy } = require('../services/uploadPolicies');
+const { releaseContent } = require('../services/contentStore');
+const { metadataStore } = require('../services/metadataStore');
+const { checkQuota, reserveQuota } = require('../services/quotas');
+const tusUploads = require('../services/tusUploads');
+const { generateFilename } = require('../utils/filename');
+
+const router = express.Router();
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = 'creation,termination,expiration';
+
+// Uploads currently receiving a PATCH. A second concurrent PATCH would corrupt the part file.
+const activeUploads = new Set();
+
+// Parses "key base64value,key2 base64value2" from the Upload-Metadata header.
+const parseUploadMetadata = (header) => {
+  const metadata = {};
+  if (!header) {
+    return metadata;
+  }
+  for (const pair of header.split(',')) {
+    const [key, value = ''] = pair.trim().split(' ');
+    if (key) {
+      metadata[key] = Buffer.from(value, 'base64').toString('utf8');
+    }
+  }
+  return metadata;
+};
+
+const byteLimit = (limit) => {
+  let received = 0;
+  return new Transform({
+    transform(chunk, encoding, cb) {
+      received += chunk.length;
+      if (received > limit) {
+        const error = new Error('Request body exceeds the declared Upload-Length');
+        error.code = 'ERR_UPLOAD_LENGTH_EXCEEDED';
+        return cb(error);
+      }
+      cb(null, chunk);
+    }
+  });
+};
+
+const setUploadHeaders = (res, upload) => {
+  res.set({
+    'Upload-Offset': String(upload.offset),
+    'Upload-Expires': new Date(upload.expiresAt).toUTCString()
+  });
+};
+
+router.use('/uploads/tus', (req, res, next) => {
+  res.set('Tus-Resumable', TUS_VERSION);
+  if (req.method !== 'OPTIONS' && req.get('Tus-Resumable') !== TUS_VERSION) {
+    res.set('Tus-Version', TUS_VERSION);
+    return res.status(412).json({
+      error: 'Unsupported protocol version',
+      message: `Tus-Resumable header must be ${TUS_VERSION}`
+    });
+  }
+  next();
+});
+
+// Loads the upload named in the URL, answering 404 when it is unknown, expired or owned by another key.
+const loadUpload = (req, res, next) => {
+  const upload = tusUploads.getUpload(req.params.id);
+  const ownsUpload = upload && (upload.keyId === req.apiKey.id || req.apiKey.scopes.includes('admin'));
+
+  if (!ownsUpload) {
+    logger.warn('Resumable upload not found', { id: req.params.id, ip: req.ip, ...keyLogMeta(req) });
+    return res.status(404).json({
+      error: 'Upload not found',
+      message: 'The specified upload does not exist or has expired'
+    });
+  }
+
+  req.tusUpload = upload;
+  next();
+};
+
+/**
+ * @swagger
+ * /uploads/tus:
+ *   options:
+ *     summary: Discover tus protocol support
+ *     description: Returns the supported tus version, extensions and maximum upload size.
+ *     tags:
+ *       - Resumable Uploads
+ *     security: []
+ *     responses:
+ *       204:
+ *         description: Server capabilities in the `Tus-Version`, `Tus-Extension` and `Tus-Max-Size` headers
+ *   post:
+ *     summary: Create a resumable upload
+ *     description: |
+ *       Create an upload following the tus 1.0 creation extension. The file name and MIME type
+ *       are passed base64-encoded in `Upload-Metadata` as `filename` and `filetype`. The optional
+ *       `expiresIn` and `expiresAt` entries set the file's retention and `namespace` its namespace,
+ *       as in `POST /upload`.
+ *       
+ *       **Authentication:** Bearer token with the `upload` scope required
+ *     tags:
+ *       - Resumable Uploads
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Tus-Resumable
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "1.0.0"
+ *       - in: header
+ *         name: Upload-Length
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Total size of the file in bytes
+ *       - in: header
+ *         name: Upload-Metadata
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "filename cGhvdG8uanBn,filetype aW1hZ2UvanBlZw=="
+ *     responses:
+ *       201:
+ *         description: Upload created. Its URL is in the `Location` header.
+ *       400:
+ *         description: Missing or invalid headers, unsupported file type or invalid retention
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       412:
+ *         description: Unsupported tus version
+ *       413:
+ *         description: Upload-Length exceeds the maximum upload size
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       507:
+ *         description: The file would exceed the API client's storage quota
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/QuotaExceededResponse'
+ */
+router.options('/uploads/tus', (req, res) => {
+  res.set({
+    'Tus-Version': TUS_VERSION,
+    'Tus-Extension': TUS_EXTENSIONS,
+    'Tus-Max-Size': String(environment.tusMaxSize)
+  });
+  res.status(204).end();
+});
+
+router.post('/uploads/tus',
+  authenticate,
+  requireScope('upload'),
+  rateLimit('upload'),
+  (req, res) => {
+    try {
+      const length = Number(req.get('Upload-Length'));
+      // Empty files cannot be checked against their declared type, so they are not accepted.
+      if (!Number.isInteger(length) || length < 1) {
+        return res.status(400).json({
+          error: 'Invalid header',
+          message: 'Upload-Length must be a positive integer'
+        });
+      }
+      if (length > environment.tusMaxSize) {
+        return res.status(413).json({
+          error: 'File too large',
+          message: 'The uploaded file exceeds the maximum allowed size'
+        });
+      }
+
+      const metadata = parseUploadMetadata(req.get('Upload-Metadata'));
+      const originalname = metadata.filename || metadata.name;
+      const mimetype = normalizeMimeType(metadata.filetype || metadata.type || (originalname && mime.lookup(originalname)));
+      if (!originalname || !isAllowedMimeType(mimetype)) {
+        logger.warn('Unsupported file type uploaded', {
+          mimetype,
+          originalname,
+          url: req.url,
+          method: req.method,
+          ip: req.ip
+        });
+        return res.status(400).json({
+          error: 'Unsupported file type',
+          message: 'The uploaded file type is not supported'
+        });
+      }
+      // Resumable uploads are limited by TUS_MAX_SIZE rather than the size of the category.
+      const rejection = checkUploadPolicy({ mimetype, originalname });
+      if (rejection) {
+        logger.warn('Upload rejected by policy', { reason: rejection.message, mimetype, originalname, ip: req.ip });
+        return res.status(rejection.status).json({
+          error: rejection.error,
+          message: rejection.message
+        });
+      }
+
+      const { retention, error: retentionError } = parseRetention(metadata);
+      const { namespace, error: namespaceError } = parseNamespace(metadata.namespace);
+      const error = retentionError || namespaceError;
+      if (error) {
+        return res.status(400).json({
+          error: 'Invalid parameter',
+          message: error
+        });
+      }
+
+      const overQuota = checkQuota(req.apiKey, { bytes: length, files: 1 });
+      if (overQuota) {
+        return rejectOverQuota(req, res, overQuota);
+      }
+
+      const upload = tusUploads.createUpload({
+        length,
+        metadata: { filename: originalname, filetype: mimetype, ...retention, namespace },
+        keyId: req.apiKey.id,
+        clientId: req.apiKey.clientId
+      });
+      logger.info('Resumable upload created', { id: upload.id, length, originalname, mimetype, ...keyLogMeta(req) });
+
+      res.set({
+        'Location': `${environment.baseUrl}/uploads/tus/${upload.id}`,
+        'Upload-Expires': new Date(upload.expiresAt).toUTCString()
+      });
+      res.status(201).end();
+    } catch (error) {
+      logger.error('Error creating resumable upload', { error: error.message });
+      res.status(500).json({
+        error: 'Upload failed',
+        message: 'An error occurred while processing the upload'
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /uploads/tus/{id}:
+ *   head:
+ *     summary: Get the offset of a resumable upload
+ *     tags:
+ *       - Resumable Uploads
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Current state in the `Upload-Offset` and `Upload-Length` headers
+ *       404:
+ *         description: Upload not found or expired
+ *   patch:
+ *     summary: Append data to a resumable upload
+ *     description: |
+ *       Append the request body at `Upload-Offset`. When the last byte arrives the file is validated,
+ *       stored, and the response body is the same as the one of `POST /upload`.
+ *     tags:
+ *       - Resumable Uploads
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: Upload-Offset
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/offset+octet-stream:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       200:
+ *         description: Upload completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FileUploadResponse'
+ *       204:
+ *         description: Chunk stored, upload not complete yet
+ *       400:
+ *         description: Content does not match the declared file type
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Upload not found or expired
+ *       409:
+ *         description: Upload-Offset does not match the current offset
+ *       413:
+ *         description: Body goes past the declared Upload-Length
+ *       415:
+ *         description: Content-Type is not application/offset+octet-stream
+ *       423:
+ *         description: Another request is appending to this upload
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       507:
+ *         description: The API client went over its storage quota while the upload was in progress; the upload is discarded
+ *   get:
+ *     summary: Get the result of a completed resumable upload
+ *     tags:
+ *       - Resumable Uploads
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Same body as `POST /upload`
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FileUploadResponse'
+ *       404:
+ *         description: Upload not found or expired
+ *       409:
+ *         description: Upload is not complete yet
+ *   delete:
+ *     summary: Terminate a resumable upload
+ *     description: Discard an upload and the data received so far (tus termination extension).
+ *     tags:
+ *       - Resumable Uploads
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Upload terminated
+ *       404:
+ *         description: Upload not found or expired
+ */
+router.head('/uploads/tus/:id',
+  authenticate,
+  requireScope('upload'),
+  loadUpload,
+  (req, res) => {
+    setUploadHeaders(res, req.tusUpload);
+    res.set({
+      'Upload-Length': String(req.tusUpload.length),
+      'Cache-Control': 'no-store'
+    });
+    res.status(200).end();
+  }
+);
+
+router.get('/uploads/tus/:id',
+  authenticate,
+  requireScope('upload'),
+  loadUpload,
+  (req, res) => {
+    if (!req.tusUpload.result) {
+      setUploadHeaders(res, req.tusUpload);
+      return res.status(409).json({
+        error: 'Upload incomplete',
+        message: 'The upload has not received all of its data yet'
+      });
+    }
+    res.json(req.tusUpload.result);
+  }
+);
+
+const finishUpload = async (req, res, upload) => {
+  const { filename: originalname, filetype: mimetype, expiresIn, expiresAt, namespace } = upload.metadata;
+  const partPath = tusUploads.partPath(upload.id);
+
+  // Other uploads may have finished since this one was created, so the quota is checked again, and
+  // reserved until the response is sent.
+  const { error: overQuota, release } = reserveQuota(req.apiKey, { bytes: upload.length, files: 1 });
+  if (overQuota) {
+    tusUploads.removeUpload(upload.id);
+    return rejectOverQuota(req, res, overQuota);
+  }
+  res.once('close', release);
+
+  const source = fs.createReadStream(partPath);
+  let content;
+  try {
+    content = await storeUpload(source, {
+      mimetype,
+      originalname,
+      logMeta: { uploadId: upload.id, ip: req.ip }
+    });
+  } catch (error) {
+    source.destroy();
+    if (error.code !== 'FILE_TYPE_MISMATCH') {
+      throw error;
+    }
+    tusUploads.removeUpload(upload.id);
+    return res.status(400).json({
+      error: 'File type mismatch',
+      message: error.message
+    });
+  }
+
+  const filename = generateFilename(mimetype);
+  let result;
+  try {
+    result = await completeUpload({
+      filename,
+      originalname,
+      mimetype,
+      ...content,
+      retention: { expiresIn, expiresAt },
+      namespace,
+      ownerId: upload.clientId || req.apiKey.clientId
+    }, {
+      uploadId: upload.id,
+      ...keyLogMeta(req)
+    });
+  } catch (error) {
+    const failure = uploadFailure(error);
+    if (!failure) {
+      if (!metadataStore.get(filename)) {
+        await releaseContent(content.sha256);
+      }
+      throw error;
+    }
+    // An infected upload is done with; when the scanner was unavailable the client can finish it again.
+    if (error.code === 'FILE_INFECTED') {
+      tusUploads.removeUpload(upload.id);
+    } else {
+      await releaseContent(content.sha256);
+    }
+    logger.warn('Upload rejected', { uploadId: upload.id, reason: failure.message, ...keyLogMeta(req) });
+    return res.status(failure.status).json({
+      error: failure.error,
+      message: failure.message
+    });
+  }
+  const completed = tusUploads.markCompleted(upload, result);
+
+  setUploadHeaders(res, completed);
+  res.status(200).json(result);
+};
+
+router.patch('/uploads/tus/:id',
+  authenticate,
+  requireScope('upload'),
+  // Only the request that completes the file is an upload; intermediate chunks answer 204.
+  audit('upload', { skip: (req, res) => res.statusCode === 204 }),
+  loadUpload,
+  limitConcurrentUploads,
+  async (req, res) => {
+    const { id } = req.params;
+    let upload = req.tusUpload;
+
+    if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+      return res.status(415).json({
+        error: 'Unsupported media type',
+        message: 'Content-Type must be application/offset+octet-stream'
+      });
+    }
+
+    const offset = Number(req.get('Upload-Offset'));
+    if (!Number.isInteger(offset) || offset !== upload.offset) {
+      setUploadHeaders(res, upload);
+      return res.status(409).json({
+        error: 'Offset mismatch',
+        message: `Upload-Offset must be ${upload.offset}`
+      });
+    }
+
+    if (upload.result) {
+      setUploadHeaders(res, upload);
+      return res.status(200).json(upload.result);
+    }
+
+    if (activeUploads.has(id)) {
+      return res.status(423).json({
+        error: 'Upload locked',
+        message: 'Another request is already appending to this upload'
+      });
+    }
+
+    activeUploads.add(id);
+    try {
+      await pipeline(
+        req,
+        byteLimit(upload.length - upload.offset),
+        fs.createWriteStream(tusUploads.partPath(id), { flags: 'a' })
+      );
+    } catch (error) {
+      activeUploads.delete(id);
+      if (error.code === 'ERR_UPLOAD_LENGTH_EXCEEDED') {
+        return res.status(413).json({
+          error: 'File too large',
+          message: error.message
+        });
+      }
+      // The client went away mid-chunk; whatever reached the disk stays and the client resumes from there.
+      logger.warn('Resumable upload chunk interrupted', { id, error: error.message, ip: req.ip });
+      return;
+    }
+
+    // The lock is kept until the file is finished, so a retried last chunk cannot finish it a second time.
+    try {
+      upload = tusUploads.touchUpload(tusUploads.getUpload(id));
+      if (upload.offset < upload.length) {
+        setUploadHeaders(res, upload);
+        return res.status(204).end();
+      }
+      await finishUpload(req, res, upload);
+    } catch (error) {
+      logger.error('Error in resumable upload handler', { id, error: error.message });
+      res.status(500).json({
+        error: 'Upload failed',
+        message: 'An error occurred while processing the upload'
+      });
+    } finally {
+      activeUploads.delete(id);
+    }
+  }
+);
+
+router.delete('/uploads/tus/:id',
+  authenticate,
+  requireScope('upload'),
+  loadUpload,
+  (req, res) => {
+    tusUploads.removeUpload(req.params.id);
+    logger.info('Resumable upload terminated', { id: req.params.id, ...keyLogMeta(req) });
+    res.status(204).end();
+  }
+);
+
+module.exports = router;
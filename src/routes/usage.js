@@ -0,0 +1,125 @@
+const express = require('express');
+const logger = require('../config/logger');
+const { authenticate } = require('../middleware/auth');
+const { findClient } = require('../services/apiKeyStore');
+const { getUsage } = require('../services/quotas');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     UsageTotals:
+ *       type: object
+ *       properties:
+ *         files:
+ *           type: integer
+ *           example: 12
+ *         bytes:
+ *           type: integer
+ *           example: 5242880
+ *     UsageResponse:
+ *       type: object
+ *       properties:
+ *         clientId:
+ *           type: string
+ *           example: "9f86d081884c7d65"
+ *         quota:
+ *           $ref: '#/components/schemas/Quota'
+ *         total:
+ *           $ref: '#/components/schemas/UsageTotals'
+ *         byCategory:
+ *           type: object
+ *           description: Usage per file category (image, audio, video, document, spreadsheet)
+ *           additionalProperties:
+ *             $ref: '#/components/schemas/UsageTotals'
+ *         byDay:
+ *           type: array
+ *           description: Usage per upload day (UTC) of the files currently stored
+ *           items:
+ *             allOf:
+ *               - type: object
+ *                 properties:
+ *                   date:
+ *                     type: string
+ *                     format: date
+ *                     example: "2024-01-15"
+ *               - $ref: '#/components/schemas/UsageTotals'
+ */
+
+/**
+ * @swagger
+ * /usage:
+ *   get:
+ *     summary: Storage usage of the calling client
+ *     description: |
+ *       Report the files and bytes currently stored by the API client making the request, its quota,
+ *       and breakdowns by file category and upload day. Files in the trash are included, since they
+ *       count towards the quota until they are purged. Keys with the `admin` scope can pass
+ *       `clientId` to see another client.
+ *
+ *       **Authentication:** Bearer token required (any scope)
+ *     tags:
+ *       - Usage
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: clientId
+ *         schema:
+ *           type: string
+ *         description: Client to report on (admin only)
+ *     responses:
+ *       200:
+ *         description: Current usage
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UsageResponse'
+ *       401:
+ *         description: Unauthorized - authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - only admin keys can report on other clients
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Client not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/usage', authenticate, (req, res) => {
+  const { clientId } = req.query;
+
+  if (clientId === undefined || clientId === req.apiKey.clientId) {
+    return res.json(getUsage(req.apiKey));
+  }
+
+  if (!req.apiKey.scopes.includes('admin')) {
+    logger.warn('Usage of another client requested', { clientId, keyId: req.apiKey.id, ip: req.ip });
+    return res.status(403).json({
+      error: 'Insufficient scope',
+      message: 'This operation requires the "admin" scope'
+    });
+  }
+
+  const client = typeof clientId === 'string' ? findClient(clientId) : null;
+  if (!client) {
+    return res.status(404).json({
+      error: 'Client not found',
+      message: 'The specified client does not exist'
+    });
+  }
+
+  res.json(getUsage(client));
+});
+
+module.exports = router;
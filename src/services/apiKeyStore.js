@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const path = require('path');
+const environment = require('../config/environment');
+const { readJsonFile, writeJsonFile } = require('../utils/jsonFile');
+
+const KEYS_FILE = path.join(environment.dataPath, 'api-keys.json');
+const SCOPES = ['upload', 'delete', 'read', 'admin'];
+
+// Identity used when a request authenticates with the AUTH_TOKEN from the environment.
+const ENVIRONMENT_KEY = {
+  id: 'env',
+  clientId: 'env',
+  name: 'AUTH_TOKEN',
+  scopes: SCOPES,
+  quota: null
+};
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Compares secrets in constant time; hashing first gives both sides the same length.
+const sameSecret = (a, b) =>
+  crypto.timingSafeEqual(Buffer.from(hashSecret(a), 'hex'), Buffer.from(hashSecret(b), 'hex'));
+
+const keys = new Map(readJsonFile(KEYS_FILE, []).map(key => [key.id, key]));
+
+const persist = () => writeJsonFile(KEYS_FILE, [...keys.values()]);
+
+// Never expose the hash outside of this module. Keys created before clients existed are their own client.
+const toPublicKey = ({ hash, ...key }) => ({ clientId: key.id, quota: null, ...key });
+
+const isActive = (key, now = Date.now()) =>
+  !key.revokedAt && (!key.expiresAt || new Date(key.expiresAt).getTime() > now);
+
+/**
+ * Creates a key and returns it together with its secret. The secret is only hashed at rest,
+ * so this is the only time it can be shown to the caller.
+ * clientId groups the keys of one client across rotations; a new client is started when it is omitted.
+ */
+const createKey = ({ name, scopes, expiresAt = null, quota = null, clientId }) => {
+  const secret = `cmb_${crypto.randomBytes(24).toString('base64url')}`;
+  const id = crypto.randomBytes(8).toString('hex');
+  const key = {
+    id,
+    clientId: clientId || id,
+    name,
+    prefix: secret.slice(0, 8),
+    hash: hashSecret(secret),
+    scopes: [...new Set(scopes)],
+    quota,
+    createdAt: new Date().toISOString(),
+    expiresAt,
+    revokedAt: null
+  };
+  keys.set(key.id, key);
+  persist();
+  return { ...toPublicKey(key), secret };
+};
+
+const findBySecret = (secret) => {
+  if (environment.authToken && sameSecret(secret, environment.authToken)) {
+    return ENVIRONMENT_KEY;
+  }
+
+  const hash = hashSecret(secret);
+  const key = [...keys.values()].find(candidate => candidate.hash === hash);
+  return key && isActive(key) ? toPublicKey(key) : null;
+};
+
+const listKeys = () => [...keys.values()].map(key => ({ ...toPublicKey(key), active: isActive(key) }));
+
+const revokeKey = (id) => {
+  const key = keys.get(id);
+  if (!key) {
+    return null;
+  }
+  if (!key.revokedAt) {
+    key.revokedAt = new Date().toISOString();
+    persist();
+  }
+  return toPublicKey(key);
+};
+
+/**
+ * Issues a replacement for a key. The old key keeps working for the configured grace period
+ * (or until its own expiry, whichever comes first) so clients can switch without downtime.
+ */
+const rotateKey = (id) => {
+  const key = keys.get(id);
+  if (!key || !isActive(key)) {
+    return null;
+  }
+
+  const graceEnd = Date.now() + environment.keyRotationGraceSeconds * 1000;
+  if (!key.expiresAt || new Date(key.expiresAt).getTime() > graceEnd) {
+    key.expiresAt = new Date(graceEnd).toISOString();
+  }
+  const { clientId, quota } = toPublicKey(key);
+  const replacement = createKey({ name: key.name, scopes: key.scopes, expiresAt: null, quota, clientId });
+  key.rotatedTo = replacement.id;
+  persist();
+
+  return { previous: toPublicKey(key), replacement };
+};
+
+// Sets the quota of every key belonging to the same client as the given key.
+const setClientQuota = (id, quota) => {
+  const key = keys.get(id);
+  if (!key) {
+    return null;
+  }
+  const { clientId } = toPublicKey(key);
+  for (const candidate of keys.values()) {
+    if (toPublicKey(candidate).clientId === clientId) {
+      candidate.quota = quota;
+    }
+  }
+  persist();
+  return toPublicKey(key);
+};
+
+// Identity and quota of a client, taken from any of its keys.
+const findClient = (clientId) => {
+  if (clientId === ENVIRONMENT_KEY.clientId) {
+    return environment.authToken ? ENVIRONMENT_KEY : null;
+  }
+  const key = [...keys.values()].map(toPublicKey).find(candidate => candidate.clientId === clientId);
+  return key ? { clientId: key.clientId, name: key.name, quota: key.quota } : null;
+};
+
+module.exports = {
+  SCOPES,
+  createKey,
+  findBySecret,
+  listKeys,
+  revokeKey,
+  rotateKey,
+  setClientQuota,
+  findClient,
+  sameSecret
+};
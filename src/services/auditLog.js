@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const crypto = require('crypto');
+const logger = require('../config/logger');
+const environment = require('../config/environment');
+
+const AUDIT_FILE = path.join(environment.dataPath, 'audit.ndjson');
+const ACTIONS = ['upload', 'download', 'delete', 'restore', 'auth'];
+const OUTCOMES = ['success', 'denied', 'rejected', 'error'];
+
+const CSV_COLUMNS = [
+  'id', 'at', 'action', 'outcome', 'status', 'actorKeyId', 'actorKeyName', 'actorClientId',
+  'ip', 'userAgent', 'method', 'path', 'filename', 'originalname', 'size', 'reason'
+];
+
+// 2xx succeeded, 401/403 were refused to the caller, other 4xx were rejected as invalid, 5xx failed.
+const outcomeFor = (status) => {
+  if (status < 400) {
+    return 'success';
+  }
+  if (status === 401 || status === 403) {
+    return 'denied';
+  }
+  return status < 500 ? 'rejected' : 'error';
+};
+
+/**
+ * Appends one entry to the audit log. Entries are never rewritten or removed, one JSON object per line.
+ * Never throws: an audit problem is logged but must not fail the operation being audited.
+ */
+const recordAudit = ({
+  action,
+  status,
+  actor = null,
+  ip = null,
+  userAgent = null,
+  method = null,
+  path: requestPath = null,
+  filename = null,
+  originalname = null,
+  size = null,
+  reason = null
+}) => {
+  const entry = {
+    id: crypto.randomBytes(8).toString('hex'),
+    at: new Date().toISOString(),
+    action,
+    outcome: outcomeFor(status),
+    status,
+    actor,
+    ip,
+    userAgent,
+    method,
+    path: requestPath,
+    filename,
+    originalname,
+    size,
+    reason
+  };
+  try {
+    fs.mkdirSync(path.dirname(AUDIT_FILE), { recursive: true });
+    fs.appendFileSync(AUDIT_FILE, `${JSON.stringify(entry)}\n`);
+  } catch (error) {
+    logger.error('Error writing audit entry', { action, filename, error: error.message });
+  }
+  return entry;
+};
+
+const matches = (entry, { filename, actor, action, outcome, from, to }) =>
+  (!filename || entry.filename === filename) &&
+  (!actor || (entry.actor && [entry.actor.keyId, entry.actor.keyName, entry.actor.clientId].includes(actor))) &&
+  (!action || entry.action === action) &&
+  (!outcome || entry.outcome === outcome) &&
+  (!from || new Date(entry.at) >= from) &&
+  (!to || new Date(entry.at) <= to);
+
+/**
+ * Reads the audit log oldest first, yielding the entries that match the filters:
+ * filename, actor (key id, key name or client id), action, outcome, and from/to dates.
+ */
+async function* readAuditEntries(filters = {}) {
+  if (!fs.existsSync(AUDIT_FILE)) {
+    return;
+  }
+
+  const lines = readline.createInterface({ input: fs.createReadStream(AUDIT_FILE), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line) {
+      continue;
+    }
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      // A line cut short by a crash is skipped rather than failing the whole read.
+      continue;
+    }
+    if (matches(entry, filters)) {
+      yield entry;
+    }
+  }
+}
+
+// Most recent matching entries first, at most limit of them.
+const queryAudit = async ({ limit = 100, ...filters } = {}) => {
+  const entries = [];
+  for await (const entry of readAuditEntries(filters)) {
+    entries.push(entry);
+    if (entries.length > limit) {
+      entries.shift();
+    }
+  }
+  return entries.reverse();
+};
+
+// Quotes values that need it, and defuses values a spreadsheet would run as a formula.
+const csvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (entry) => {
+  const { actor, ...fields } = entry;
+  const row = {
+    ...fields,
+    actorKeyId: actor && actor.keyId,
+    actorKeyName: actor && actor.keyName,
+    actorClientId: actor && actor.clientId
+  };
+  return CSV_COLUMNS.map(column => csvValue(row[column])).join(',');
+};
+
+module.exports = {
+  ACTIONS,
+  OUTCOMES,
+  CSV_COLUMNS,
+  recordAudit,
+  readAuditEntries,
+  queryAudit,
+  toCsvRow
+};
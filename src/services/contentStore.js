@@ -0,0 +1,175 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const logger = require('../config/logger');
+const environment = require('../config/environment');
+const { storage } = require('../storage');
+const { metadataStore } = require('./metadataStore');
+const { readJsonFile, writeJsonFile } = require('../utils/jsonFile');
+
+const BLOBS_FILE = path.join(environment.dataPath, 'blobs.json');
+
+// Content-addressed blobs keyed by SHA-256, each with the number of logical files pointing at it.
+const blobs = new Map(Object.entries(readJsonFile(BLOBS_FILE, {})));
+
+// Blobs whose last reference was just released and whose bytes are still being deleted.
+const pendingDeletes = new Map();
+
+const persist = () => writeJsonFile(BLOBS_FILE, Object.fromEntries(blobs));
+
+const blobKey = (sha256) => `blobs/${sha256.slice(0, 2)}/${sha256}`;
+
+const getBlob = (sha256) => {
+  const blob = blobs.get(sha256);
+  return blob ? { sha256, ...blob } : null;
+};
+
+// Number of distinct stored contents and their total size.
+const getContentStats = () => {
+  let bytes = 0;
+  for (const blob of blobs.values()) {
+    bytes += blob.size;
+  }
+  return { blobs: blobs.size, bytes };
+};
+
+const acquireBlob = (sha256, size) => {
+  const blob = blobs.get(sha256) || { key: blobKey(sha256), size, refs: 0, createdAt: new Date().toISOString() };
+  blob.refs += 1;
+  blobs.set(sha256, blob);
+  persist();
+  return blob;
+};
+
+/**
+ * Stores the content of a stream once per distinct SHA-256. The stream is hashed while it is
+ * spooled to a temporary file, and the bytes only reach the storage backend if no identical blob exists.
+ * Resolves to { sha256, size, storageKey, deduplicated }; the caller owns one reference to the blob.
+ */
+const storeContent = async (stream, { contentType } = {}) => {
+  const tmpPath = path.join(os.tmpdir(), `upload-${crypto.randomBytes(8).toString('hex')}`);
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+
+  try {
+    await pipeline(
+      stream,
+      new Transform({
+        transform(chunk, encoding, cb) {
+          hash.update(chunk);
+          size += chunk.length;
+          cb(null, chunk);
+        }
+      }),
+      fs.createWriteStream(tmpPath)
+    );
+
+    const sha256 = hash.digest('hex');
+    await pendingDeletes.get(sha256);
+
+    const deduplicated = blobs.has(sha256);
+    if (!deduplicated) {
+      await storage.put(blobKey(sha256), fs.createReadStream(tmpPath), { contentType });
+    }
+    const blob = acquireBlob(sha256, size);
+
+    return { sha256, size, storageKey: blob.key, deduplicated };
+  } finally {
+    await fs.promises.rm(tmpPath, { force: true });
+  }
+};
+
+/**
+ * Drops one reference to a blob and deletes its bytes when it was the last one.
+ * Resolves to the number of references left.
+ */
+const releaseContent = async (sha256) => {
+  const blob = blobs.get(sha256);
+  if (!blob) {
+    return 0;
+  }
+
+  blob.refs -= 1;
+  if (blob.refs > 0) {
+    persist();
+    return blob.refs;
+  }
+
+  blobs.delete(sha256);
+  persist();
+  const deletion = storage.delete(blob.key)
+    .catch(error => logger.error('Error deleting blob', { sha256, key: blob.key, error: error.message }))
+    .finally(() => pendingDeletes.delete(sha256));
+  pendingDeletes.set(sha256, deletion);
+  await deletion;
+  logger.info('Blob deleted after last reference was released', { sha256, key: blob.key });
+  return 0;
+};
+
+/**
+ * Moves the bytes of a blob out of the served area into quarantine/. Its references are kept,
+ * so deleting the files pointing at it still releases it. Resolves to the new storage key.
+ */
+const quarantineBlob = async (sha256) => {
+  const blob = blobs.get(sha256);
+  if (!blob) {
+    return null;
+  }
+  if (blob.quarantinedAt) {
+    return blob.key;
+  }
+
+  const key = `quarantine/${sha256}`;
+  await storage.put(key, await storage.get(blob.key));
+  await storage.delete(blob.key);
+  blob.key = key;
+  blob.quarantinedAt = new Date().toISOString();
+  persist();
+  logger.warn('Blob moved to quarantine', { sha256, key });
+  return key;
+};
+
+// Scan verdicts are kept per blob, so identical content is only scanned once.
+const recordBlobScan = (sha256, scan) => {
+  const blob = blobs.get(sha256);
+  if (blob) {
+    blob.scan = scan;
+    persist();
+  }
+};
+
+// Files uploaded before deduplication have no recorded storage key and live under their own name.
+const resolveStorageKey = (filename) => {
+  const record = metadataStore.get(filename);
+  return (record && record.storageKey) || filename;
+};
+
+/**
+ * Drops a file's reference to its stored bytes. Resolves to the references left, or null when the
+ * file has no metadata record: only keys taken from a record are ever deleted, never a name as given.
+ */
+const deleteContent = async (filename) => {
+  const record = metadataStore.get(filename);
+  if (!record) {
+    return null;
+  }
+  if (record.sha256) {
+    return releaseContent(record.sha256);
+  }
+  await storage.delete(record.storageKey || filename);
+  return 0;
+};
+
+module.exports = {
+  getBlob,
+  getContentStats,
+  storeContent,
+  releaseContent,
+  quarantineBlob,
+  recordBlobScan,
+  resolveStorageKey,
+  deleteContent
+};
@@ -0,0 +1,43 @@
+const { storage } = require('../storage');
+const { metadataStore } = require('./metadataStore');
+const { resolveStorageKey, deleteContent } = require('./contentStore');
+const { deleteVariants } = require('./imageVariants');
+const { isGeneratedFilename } = require('../utils/filename');
+
+// Files stored before metadata existed are served from their own name (see resolveStorageKey), so they are deleted
+// the same way. Only a generated name can get here, never a key such as "blobs/...".
+const deleteLegacyFile = async (filename) => {
+  const stats = isGeneratedFilename(filename) ? await storage.stat(filename) : null;
+  if (!stats) {
+    return null;
+  }
+  await storage.delete(filename);
+  return { filename, size: stats.size, remainingReferences: 0 };
+};
+
+/**
+ * Removes a logical file: its reference to the stored bytes, its cached variants and its metadata.
+ * Resolves to { filename, size, remainingReferences }, or null when the file does not exist.
+ * Every delete path (single, batch, expiry, ...) goes through here.
+ */
+const deleteFile = async (filename) => {
+  const record = metadataStore.get(filename);
+  if (!record) {
+    return deleteLegacyFile(filename);
+  }
+  const stats = await storage.stat(resolveStorageKey(filename));
+
+  const remainingReferences = await deleteContent(filename);
+  await deleteVariants(record);
+  metadataStore.remove(filename);
+
+  return {
+    filename,
+    size: stats ? stats.size : record.size,
+    remainingReferences
+  };
+};
+
+module.exports = {
+  deleteFile
+};
@@ -0,0 +1,120 @@
+const path = require('path');
+const { Readable } = require('stream');
+const { storage } = require('../storage');
+const { metadataStore } = require('./metadataStore');
+const { resolveStorageKey } = require('./contentStore');
+const { isExpired } = require('./retention');
+const { isTrashed } = require('./trash');
+const { createZip } = require('../utils/zip');
+
+const MANIFEST_NAME = 'manifest.json';
+
+// Why a file cannot be exported, following what GET /files/{filename} would answer, or null.
+const unavailableReason = (record) => {
+  if (!record || isTrashed(record)) {
+    return 'not_found';
+  }
+  if (isExpired(record)) {
+    return 'expired';
+  }
+  if (record.scan && record.scan.status === 'infected') {
+    return 'quarantined';
+  }
+  if (record.scan && !['clean', 'skipped'].includes(record.scan.status)) {
+    return 'pending_scan';
+  }
+  return null;
+};
+
+/**
+ * Resolves a selection, { filenames } or { filter } with the filters of GET /files, to the files
+ * that can be exported (in the requested order, or newest upload first for a filter) and the
+ * ones that cannot. Returns { files: [record], skipped: [{ filename, reason }] }.
+ */
+const selectExportFiles = ({ filenames, filter }) => {
+  const candidates = filenames
+    ? filenames.map(filename => ({ filename, record: metadataStore.get(filename) }))
+    : metadataStore.list({ ...filter, trashed: false, limit: Number.MAX_SAFE_INTEGER }).files
+      .map(record => ({ filename: record.filename, record }));
+
+  const files = [];
+  const skipped = [];
+  for (const { filename, record } of candidates) {
+    const reason = unavailableReason(record);
+    if (reason) {
+      skipped.push({ filename, reason });
+    } else {
+      files.push(record);
+    }
+  }
+  return { files, skipped };
+};
+
+// Only the last segment of the original name, without control characters, so nothing extracts outside its folder.
+const entryName = (record) => {
+  const name = path.posix.basename(String(record.originalname || '').replace(/\\/g, '/'))
+    .replace(/[\x00-\x1f\x7f]/g, '')
+    .trim();
+  return name && name !== '.' && name !== '..' ? name : record.filename;
+};
+
+// Names in the archive, made unique ("photo.jpg", "photo (1).jpg", ...) regardless of case.
+const uniqueEntryNames = (records) => {
+  const taken = new Set([MANIFEST_NAME]);
+  return records.map(record => {
+    const name = entryName(record);
+    const ext = path.extname(name);
+    let candidate = name;
+    for (let n = 1; taken.has(candidate.toLowerCase()); n += 1) {
+      candidate = `${name.slice(0, name.length - ext.length)} (${n})${ext}`;
+    }
+    taken.add(candidate.toLowerCase());
+    return candidate;
+  });
+};
+
+/**
+ * Generates the ZIP archive of an export, chunk by chunk: manifest.json first, describing the
+ * selection, every file with its name in the archive and the files that were skipped, then the
+ * files under their de-duplicated original names. onEntry(record) is called for every file
+ * written; see createZip for how the archive is read and cancelled.
+ */
+const createExportArchive = ({ selection, files, skipped }, { onEntry = () => {} } = {}) => {
+  const names = uniqueEntryNames(files);
+  const exportedAt = new Date();
+  const manifest = Buffer.from(JSON.stringify({
+    exportedAt: exportedAt.toISOString(),
+    selection,
+    count: files.length,
+    size: files.reduce((total, record) => total + record.size, 0),
+    files: files.map((record, i) => ({
+      name: names[i],
+      filename: record.filename,
+      originalname: record.originalname,
+      mimetype: record.mimetype,
+      size: record.size,
+      sha256: record.sha256,
+      namespace: record.namespace || null,
+      uploadedAt: record.uploadedAt
+    })),
+    skipped
+  }, null, 2));
+
+  const entries = [
+    { name: MANIFEST_NAME, size: manifest.length, modifiedAt: exportedAt, open: async () => Readable.from([manifest]) },
+    ...files.map((record, i) => ({
+      name: names[i],
+      size: record.size,
+      modifiedAt: new Date(record.uploadedAt),
+      record,
+      open: () => storage.get(resolveStorageKey(record.filename))
+    }))
+  ];
+
+  return createZip(entries, { onEntry: entry => entry.record && onEntry(entry.record) });
+};
+
+module.exports = {
+  selectExportFiles,
+  createExportArchive
+};
@@ -0,0 +1,92 @@
+const sharp = require('sharp');
+const { Readable, pipeline } = require('stream');
+const logger = require('../config/logger');
+const { storage } = require('../storage');
+const { metadataStore } = require('./metadataStore');
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+const FITS = ['cover', 'contain', 'inside', 'outside', 'fill'];
+const FORMATS = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  gif: 'image/gif'
+};
+
+// Variants being generated right now, so concurrent requests for the same one share the work.
+const inFlight = new Map();
+
+const isImage = (mimetype) => IMAGE_TYPES.includes(mimetype);
+
+const variantPrefix = (filename) => `variants/${filename}/`;
+
+const variantKey = (filename, { width, height, fit, format }) =>
+  `${variantPrefix(filename)}${width || 'auto'}x${height || 'auto'}-${fit}.${format}`;
+
+const render = async (sourceKey, { width, height, fit, format }) => {
+  const source = await storage.get(sourceKey);
+  const transformer = sharp()
+    .rotate()
+    .resize({ width, height, fit, withoutEnlargement: true })
+    .toFormat(format);
+  // toBuffer never settles when its input fails, so a failed read (or decryption) rejects through the pipeline.
+  return new Promise((resolve, reject) => {
+    pipeline(source, transformer, error => error && reject(error));
+    transformer.toBuffer().then(resolve, reject);
+  });
+};
+
+/**
+ * Returns the storage key and type of a resized/re-encoded variant of an image,
+ * generating and caching it on the storage backend the first time it is requested.
+ */
+const getVariant = async (record, sourceKey, variant) => {
+  const format = variant.format || Object.keys(FORMATS).find(name => FORMATS[name] === record.mimetype);
+  const options = { ...variant, format };
+  const key = variantKey(record.filename, options);
+  const result = { key, contentType: FORMATS[format] };
+
+  if (await storage.stat(key)) {
+    return result;
+  }
+
+  if (!inFlight.has(key)) {
+    const generation = render(sourceKey, options)
+      .then(buffer => storage.put(key, Readable.from([buffer]), { contentType: FORMATS[format] }))
+      .then(({ size }) => {
+        // The record keeps its variant keys, so deleting the file does not have to search for them.
+        const current = metadataStore.get(record.filename);
+        if (current && !(current.variants || []).includes(key)) {
+          metadataStore.update(record.filename, { variants: [...(current.variants || []), key] });
+        }
+        logger.info('Image variant generated', { filename: record.filename, key, size });
+      })
+      .finally(() => inFlight.delete(key));
+    inFlight.set(key, generation);
+  }
+  await inFlight.get(key);
+  return result;
+};
+
+/**
+ * Deletes the cached variants of a file's record. Only images have variants; images from before
+ * records kept their variant keys are looked up by prefix.
+ */
+const deleteVariants = async (record) => {
+  if (!isImage(record.mimetype)) {
+    return 0;
+  }
+  const keys = record.variants
+    || (await storage.list(variantPrefix(record.filename))).map(({ key }) => key);
+  await Promise.all(keys.map(key => storage.delete(key)));
+  return keys.length;
+};
+
+module.exports = {
+  FITS,
+  FORMATS,
+  isImage,
+  getVariant,
+  deleteVariants
+};
@@ -0,0 +1,301 @@
+const logger = require('../config/logger');
+const { storage } = require('../storage');
+
+const MEDIA_TYPES = ['audio/ogg', 'audio/mpeg', 'audio/mp4', 'video/mp4'];
+const MAX_MOOV_SIZE = 16 * 1024 * 1024;
+// moov comes within the first few top-level boxes; a file of tiny boxes would otherwise cost a read per box.
+const MAX_TOP_LEVEL_BOXES = 64;
+
+const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const isMedia = (mimetype) => MEDIA_TYPES.includes(mimetype);
+
+// Random access into a stored object through ranged reads.
+const createReader = (key) => async (offset, length) => {
+  const stream = await storage.get(key, { start: offset, end: offset + length - 1 });
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+// ---- ISO base media (MP4 / M4A) ----
+
+const MP4_CODECS = {
+  avc1: 'h264',
+  avc3: 'h264',
+  hvc1: 'hevc',
+  hev1: 'hevc',
+  av01: 'av1',
+  vp09: 'vp9',
+  mp4a: 'aac',
+  Opus: 'opus',
+  'ac-3': 'ac3',
+  'ec-3': 'eac3',
+  alac: 'alac'
+};
+
+function* childBoxes(buffer, start, end) {
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    let headerSize = 8;
+    if (size === 1) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize || offset + size > end) {
+      return;
+    }
+    yield { type: buffer.toString('latin1', offset + 4, offset + 8), start: offset + headerSize, end: offset + size };
+    offset += size;
+  }
+}
+
+const findBox = (buffer, start, end, type) => {
+  for (const box of childBoxes(buffer, start, end)) {
+    if (box.type === type) {
+      return box;
+    }
+  }
+  return null;
+};
+
+// mvhd and mdhd share the same layout for the timescale and duration fields.
+const readTimescaleAndDuration = (buffer, box) => buffer[box.start] === 1
+  ? { timescale: buffer.readUInt32BE(box.start + 20), duration: Number(buffer.readBigUInt64BE(box.start + 24)) }
+  : { timescale: buffer.readUInt32BE(box.start + 12), duration: buffer.readUInt32BE(box.start + 16) };
+
+const findTopLevelBox = async (read, size, type) => {
+  let offset = 0;
+  for (let count = 0; count < MAX_TOP_LEVEL_BOXES && offset + 8 <= size; count += 1) {
+    const header = await read(offset, Math.min(16, size - offset));
+    let boxSize = header.readUInt32BE(0);
+    if (boxSize === 1) {
+      boxSize = Number(header.readBigUInt64BE(8));
+    } else if (boxSize === 0) {
+      boxSize = size - offset;
+    }
+    if (boxSize < 8) {
+      return null;
+    }
+    if (header.toString('latin1', 4, 8) === type) {
+      return { offset, size: boxSize };
+    }
+    offset += boxSize;
+  }
+  return null;
+};
+
+const parseMp4 = async (read, size) => {
+  const moov = await findTopLevelBox(read, size, 'moov');
+  if (!moov || moov.size > MAX_MOOV_SIZE) {
+    return null;
+  }
+  const buffer = await read(moov.offset, moov.size);
+  const info = { container: 'mp4' };
+
+  const mvhd = findBox(buffer, 8, buffer.length, 'mvhd');
+  if (mvhd) {
+    const { timescale, duration } = readTimescaleAndDuration(buffer, mvhd);
+    info.duration = timescale ? round(duration / timescale) : undefined;
+  }
+
+  for (const trak of childBoxes(buffer, 8, buffer.length)) {
+    if (trak.type !== 'trak') {
+      continue;
+    }
+    const mdia = findBox(buffer, trak.start, trak.end, 'mdia');
+    const hdlr = mdia && findBox(buffer, mdia.start, mdia.end, 'hdlr');
+    const minf = mdia && findBox(buffer, mdia.start, mdia.end, 'minf');
+    const stbl = minf && findBox(buffer, minf.start, minf.end, 'stbl');
+    const stsd = stbl && findBox(buffer, stbl.start, stbl.end, 'stsd');
+    if (!hdlr || !stsd) {
+      continue;
+    }
+
+    const handler = buffer.toString('latin1', hdlr.start + 8, hdlr.start + 12);
+    const entry = stsd.start + 8;
+    const fourcc = buffer.toString('latin1', entry + 4, entry + 8);
+    const codec = MP4_CODECS[fourcc] || fourcc.trim();
+
+    if (handler === 'vide' && !info.codec) {
+      const tkhd = findBox(buffer, trak.start, trak.end, 'tkhd');
+      const dimensions = tkhd && (buffer[tkhd.start] === 1 ? tkhd.start + 88 : tkhd.start + 76);
+      info.codec = codec;
+      if (dimensions) {
+        info.width = buffer.readUInt32BE(dimensions) >>> 16;
+        info.height = buffer.readUInt32BE(dimensions + 4) >>> 16;
+      }
+    } else if (handler === 'soun' && !info.audioCodec) {
+      info.audioCodec = codec;
+      info.channels = buffer.readUInt16BE(entry + 24);
+      info.sampleRate = buffer.readUInt32BE(entry + 32) >>> 16;
+    }
+  }
+
+  if (!info.codec && info.audioCodec) {
+    info.codec = info.audioCodec;
+    delete info.audioCodec;
+  }
+  return info;
+};
+
+// ---- Ogg (Opus / Vorbis) ----
+
+const parseOgg = async (read, size) => {
+  const head = await read(0, Math.min(size, 4096));
+  if (head.toString('latin1', 0, 4) !== 'OggS') {
+    return null;
+  }
+  const serial = head.readUInt32LE(14);
+  const packet = 27 + head[26];
+  const info = { container: 'ogg' };
+  let preSkip = 0;
+  let rate;
+
+  if (head.toString('latin1', packet, packet + 8) === 'OpusHead') {
+    info.codec = 'opus';
+    info.channels = head[packet + 9];
+    preSkip = head.readUInt16LE(packet + 10);
+    info.sampleRate = 48000;
+    rate = 48000;
+  } else if (head.toString('latin1', packet, packet + 7) === '\x01vorbis') {
+    info.codec = 'vorbis';
+    info.channels = head[packet + 11];
+    info.sampleRate = head.readUInt32LE(packet + 12);
+    rate = info.sampleRate;
+  } else {
+    return info;
+  }
+
+  // The granule position of the last page of the stream is its length in samples.
+  const tailLength = Math.min(size, 64 * 1024);
+  const tail = await read(size - tailLength, tailLength);
+  for (let index = tail.lastIndexOf('OggS'); index >= 0; index = index > 0 ? tail.lastIndexOf('OggS', index - 1) : -1) {
+    if (index + 18 <= tail.length && tail.readUInt32LE(index + 14) === serial) {
+      const granule = Number(tail.readBigUInt64LE(index + 6));
+      info.duration = round(Math.max(granule - preSkip, 0) / rate);
+      break;
+    }
+  }
+  return info;
+};
+
+// ---- MPEG audio (MP3) ----
+
+const MPEG_BITRATES = {
+  '1-1': [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+  '1-2': [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+  '1-3': [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  '2-1': [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+  '2-2': [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+  '2-3': [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+const MPEG_SAMPLE_RATES = { 1: [44100, 48000, 32000], 2: [22050, 24000, 16000], 2.5: [11025, 12000, 8000] };
+
+const parseMpegFrameHeader = (buffer, offset) => {
+  if (buffer[offset] !== 0xFF || (buffer[offset + 1] & 0xE0) !== 0xE0) {
+    return null;
+  }
+  const version = [2.5, null, 2, 1][(buffer[offset + 1] >> 3) & 3];
+  const layer = [null, 3, 2, 1][(buffer[offset + 1] >> 1) & 3];
+  const bitrateIndex = buffer[offset + 2] >> 4;
+  const sampleRateIndex = (buffer[offset + 2] >> 2) & 3;
+  if (!version || !layer || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+  return {
+    version,
+    layer,
+    bitrate: MPEG_BITRATES[`${version === 1 ? 1 : 2}-${layer}`][bitrateIndex] * 1000,
+    sampleRate: MPEG_SAMPLE_RATES[version][sampleRateIndex],
+    channels: (buffer[offset + 3] >> 6) === 3 ? 1 : 2,
+    samplesPerFrame: layer === 1 ? 384 : (layer === 3 && version !== 1 ? 576 : 1152)
+  };
+};
+
+const parseMp3 = async (read, size) => {
+  let audioStart = 0;
+  const id3 = await read(0, Math.min(size, 10));
+  if (id3.toString('latin1', 0, 3) === 'ID3' && id3.length === 10) {
+    const tagSize = ((id3[6] & 0x7F) << 21) | ((id3[7] & 0x7F) << 14) | ((id3[8] & 0x7F) << 7) | (id3[9] & 0x7F);
+    audioStart = 10 + tagSize + (id3[5] & 0x10 ? 10 : 0);
+  }
+
+  const buffer = await read(audioStart, Math.min(size - audioStart, 8192));
+  let offset = 0;
+  let frame = null;
+  while (offset + 4 <= buffer.length && !(frame = parseMpegFrameHeader(buffer, offset))) {
+    offset += 1;
+  }
+  if (!frame) {
+    return null;
+  }
+
+  const info = {
+    container: 'mpeg',
+    codec: `mp${frame.layer}`,
+    sampleRate: frame.sampleRate,
+    channels: frame.channels
+  };
+
+  // VBR files announce their frame count in a Xing/Info header inside the first frame.
+  const sideInfo = frame.version === 1 ? (frame.channels === 1 ? 17 : 32) : (frame.channels === 1 ? 9 : 17);
+  const xing = offset + 4 + sideInfo;
+  let frames;
+  const tag = buffer.toString('latin1', xing, xing + 4);
+  if ((tag === 'Xing' || tag === 'Info') && buffer.readUInt32BE(xing + 4) & 1) {
+    frames = buffer.readUInt32BE(xing + 8);
+  } else if (buffer.toString('latin1', offset + 36, offset + 40) === 'VBRI') {
+    frames = buffer.readUInt32BE(offset + 36 + 14);
+  }
+
+  const audioBytes = size - audioStart - offset;
+  info.duration = round(frames
+    ? (frames * frame.samplesPerFrame) / frame.sampleRate
+    : (audioBytes * 8) / frame.bitrate);
+  return info;
+};
+
+const PARSERS = {
+  'audio/ogg': parseOgg,
+  'audio/mpeg': parseMp3,
+  'audio/mp4': parseMp4,
+  'video/mp4': parseMp4
+};
+
+/**
+ * Extracts duration, bitrate, dimensions and codecs from a stored audio or video file
+ * by reading only the parts of the container that describe it.
+ * Resolves to null for other types or when the container cannot be understood.
+ */
+const extractMediaInfo = async (storageKey, size, mimetype) => {
+  const parse = PARSERS[mimetype];
+  if (!parse || !size) {
+    return null;
+  }
+
+  try {
+    const info = await parse(createReader(storageKey), size);
+    if (!info) {
+      return null;
+    }
+    if (info.duration > 0) {
+      info.bitrate = Math.round((size * 8) / info.duration);
+    }
+    return info;
+  } catch (error) {
+    logger.warn('Could not read media metadata', { storageKey, mimetype, error: error.message });
+    return null;
+  }
+};
+
+module.exports = {
+  MEDIA_TYPES,
+  isMedia,
+  extractMediaInfo
+};
@@ -0,0 +1,142 @@
+const path = require('path');
+const environment = require('../config/environment');
+const { readJsonFile, writeJsonFile } = require('../utils/jsonFile');
+
+const matchesMimetype = (mimetype, pattern) => {
+  if (pattern.endsWith('/*')) {
+    return mimetype.startsWith(pattern.slice(0, -1));
+  }
+  return mimetype === pattern;
+};
+
+/**
+ * Keeps file metadata in memory. Every store exposes the same interface:
+ * save(record), get(filename), update(filename, changes), remove(filename), list(query) and
+ * ownerTotals(ownerId).
+ */
+class MemoryMetadataStore {
+  constructor() {
+    this.records = new Map();
+    // Files and bytes per owner, kept up to date on every change so quota checks need no scan.
+    this.totals = new Map();
+  }
+
+  // Adds a record to the totals of its owner (sign 1), or takes it out of them (sign -1).
+  count(record, sign) {
+    if (!record || !record.ownerId) {
+      return;
+    }
+    const totals = this.totals.get(record.ownerId) || { files: 0, bytes: 0 };
+    totals.files += sign;
+    totals.bytes += sign * record.size;
+    if (totals.files > 0) {
+      this.totals.set(record.ownerId, totals);
+    } else {
+      this.totals.delete(record.ownerId);
+    }
+  }
+
+  save(record) {
+    this.count(this.records.get(record.filename), -1);
+    this.records.set(record.filename, { ...record });
+    this.count(record, 1);
+    this.persist();
+    return { ...record };
+  }
+
+  get(filename) {
+    const record = this.records.get(filename);
+    return record ? { ...record } : null;
+  }
+
+  update(filename, changes) {
+    const record = this.records.get(filename);
+    if (!record) {
+      return null;
+    }
+    const updated = { ...record, ...changes };
+    this.records.set(filename, updated);
+    this.count(record, -1);
+    this.count(updated, 1);
+    this.persist();
+    return { ...updated };
+  }
+
+  remove(filename) {
+    const record = this.records.get(filename);
+    if (!record) {
+      return false;
+    }
+    this.records.delete(filename);
+    this.count(record, -1);
+    this.persist();
+    return true;
+  }
+
+  list({ mimetype, from, to, minSize, maxSize, expiresBefore, ownerId, namespace, sha256, scanStatus, trashed, page = 1, limit = 50 } = {}) {
+    const matches = [...this.records.values()]
+      .filter(record => !mimetype || matchesMimetype(record.mimetype, mimetype))
+      .filter(record => !from || new Date(record.uploadedAt) >= from)
+      .filter(record => !to || new Date(record.uploadedAt) <= to)
+      .filter(record => minSize === undefined || record.size >= minSize)
+      .filter(record => maxSize === undefined || record.size <= maxSize)
+      .filter(record => !ownerId || record.ownerId === ownerId)
+      .filter(record => !namespace || record.namespace === namespace)
+      .filter(record => !sha256 || record.sha256 === sha256)
+      .filter(record => !scanStatus || (record.scan && record.scan.status === scanStatus))
+      .filter(record => trashed === undefined || Boolean(record.trashedAt) === trashed)
+      .filter(record => !expiresBefore || (record.expiresAt && new Date(record.expiresAt) <= expiresBefore))
+      .sort((a, b) => b.uploadedAt.localeCompare(a.uploadedAt));
+
+    const start = (page - 1) * limit;
+    return {
+      files: matches.slice(start, start + limit).map(record => ({ ...record })),
+      page,
+      limit,
+      total: matches.length
+    };
+  }
+
+  // Number and total size of the files of an owner, trashed ones included.
+  ownerTotals(ownerId) {
+    const totals = this.totals.get(ownerId);
+    return totals ? { ...totals } : { files: 0, bytes: 0 };
+  }
+
+  persist() {}
+}
+
+/**
+ * JSON index on disk. The whole index is loaded at startup and rewritten atomically on every change.
+ */
+class JsonMetadataStore extends MemoryMetadataStore {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    readJsonFile(filePath, []).forEach(record => {
+      this.records.set(record.filename, record);
+      this.count(record, 1);
+    });
+  }
+
+  persist() {
+    writeJsonFile(this.filePath, [...this.records.values()]);
+  }
+}
+
+const createMetadataStore = (type) => {
+  if (type === 'memory') {
+    return new MemoryMetadataStore();
+  }
+  if (type === 'json') {
+    return new JsonMetadataStore(path.join(environment.dataPath, 'metadata.json'));
+  }
+  throw new Error(`Unknown metadata store type: ${type}`);
+};
+
+module.exports = {
+  metadataStore: createMetadataStore(environment.metadataStore),
+  createMetadataStore,
+  MemoryMetadataStore,
+  JsonMetadataStore
+};
@@ -0,0 +1,137 @@
+const { storage } = require('../storage');
+const { metadataStore } = require('./metadataStore');
+const { getContentStats } = require('./contentStore');
+
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+// Series are keyed by their label values, in the order the metric declares its label names.
+const seriesKey = (labelNames, labels) => JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+
+const keyLabels = (labelNames, key) =>
+  Object.fromEntries(JSON.parse(key).map((value, index) => [labelNames[index], value]));
+
+const createCounter = (name, help, labelNames = []) => {
+  const series = new Map();
+  return {
+    inc(labels = {}, value = 1) {
+      const key = seriesKey(labelNames, labels);
+      series.set(key, (series.get(key) || 0) + value);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      if (series.size === 0 && labelNames.length === 0) {
+        lines.push(`${name} 0`);
+      }
+      for (const [key, value] of series) {
+        lines.push(`${name}${formatLabels(keyLabels(labelNames, key))} ${value}`);
+      }
+      return lines;
+    }
+  };
+};
+
+const createHistogram = (name, help, labelNames = [], buckets = DURATION_BUCKETS) => {
+  const series = new Map();
+  return {
+    observe(labels, value) {
+      const key = seriesKey(labelNames, labels);
+      const entry = series.get(key) || { counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((bound, index) => {
+        if (value <= bound) {
+          entry.counts[index] += 1;
+        }
+      });
+      entry.sum += value;
+      entry.count += 1;
+      series.set(key, entry);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const [key, entry] of series) {
+        const labels = keyLabels(labelNames, key);
+        buckets.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${entry.counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${entry.count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${entry.sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${entry.count}`);
+      }
+      return lines;
+    }
+  };
+};
+
+// Gauges are read when metrics are scraped; collect resolves to [{ labels, value }].
+const createGauge = (name, help, collect) => ({
+  async render() {
+    const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+    for (const { labels = {}, value } of await collect()) {
+      lines.push(`${name}${formatLabels(labels)} ${value}`);
+    }
+    return lines;
+  }
+});
+
+const httpRequests = createCounter('http_requests_total', 'HTTP requests by route and status', ['method', 'route', 'status']);
+const httpDuration = createHistogram(
+  'http_request_duration_seconds',
+  'HTTP request latency by route and status',
+  ['method', 'route', 'status']
+);
+const uploadedBytes = createCounter('bucket_uploaded_bytes_total', 'Bytes of files stored by successful uploads');
+const servedBytes = createCounter('bucket_served_bytes_total', 'Bytes of file content sent by downloads');
+const uploadRejections = createCounter('bucket_upload_rejections_total', 'Uploads refused, by reason', ['reason']);
+const authFailures = createCounter('bucket_auth_failures_total', 'Requests refused by authentication, by reason', ['reason']);
+const rateLimited = createCounter(
+  'bucket_rate_limited_total',
+  'Requests refused with 429, by operation and by the limit that was hit (key, ip or concurrency)',
+  ['operation', 'scope']
+);
+
+const storedFiles = createGauge('bucket_files', 'Stored files, live or in the trash', () => [
+  { labels: { state: 'live' }, value: metadataStore.list({ trashed: false, limit: 1 }).total },
+  { labels: { state: 'trashed' }, value: metadataStore.list({ trashed: true, limit: 1 }).total }
+]);
+const storedContent = createGauge('bucket_stored_bytes', 'Bytes of distinct stored content, after deduplication', () => [
+  { value: getContentStats().bytes }
+]);
+
+// Only backends with a volume of their own (local disk) report these series.
+const volume = () => storage.usage().catch(() => null);
+const volumeSize = createGauge('bucket_volume_size_bytes', 'Size of the filesystem holding VOLUME_PATH', async () => {
+  const stats = await volume();
+  return stats ? [{ value: stats.size }] : [];
+});
+const volumeFree = createGauge('bucket_volume_free_bytes', 'Free space on the filesystem holding VOLUME_PATH', async () => {
+  const stats = await volume();
+  return stats ? [{ value: stats.free }] : [];
+});
+
+const METRICS = [
+  httpRequests, httpDuration, uploadedBytes, servedBytes, uploadRejections, authFailures, rateLimited,
+  storedFiles, storedContent, volumeSize, volumeFree
+];
+
+// Every metric in the Prometheus text exposition format (version 0.0.4).
+const renderMetrics = async () => {
+  const blocks = await Promise.all(METRICS.map(metric => metric.render()));
+  return `${blocks.map(lines => lines.join('\n')).join('\n\n')}\n`;
+};
+
+module.exports = {
+  httpRequests,
+  httpDuration,
+  uploadedBytes,
+  servedBytes,
+  uploadRejections,
+  authFailures,
+  rateLimited,
+  renderMetrics
+};
@@ -0,0 +1,53 @@
+const logger = require('../config/logger');
+const { metadataStore } = require('./metadataStore');
+const { deleteFile } = require('./deleteService');
+const { forgetTombstones } = require('./retention');
+
+// A tenant, chat or conversation id such as "acme:chat-42"; it goes in URLs as a single path segment.
+const NAMESPACE_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._:-]{0,127}$/;
+
+const isValidNamespace = (namespace) => typeof namespace === 'string' && NAMESPACE_PATTERN.test(namespace);
+
+/**
+ * Permanently deletes every file of a namespace, trashed ones included, and the tombstones of its
+ * expired files. Files are deleted one by one, so a failure only leaves that file behind.
+ * Resolves to the deletion receipt:
+ * { namespace, erasedAt, count, size, filenames, liveFilenames, trashedFilenames, tombstones,
+ *   deleted: [record], failed: [{ filename, error }] },
+ * where filenames is every file deleted, split into the ones that were live and the ones already in the
+ * trash, and deleted holds the records as they were, for callers that announce the deletions.
+ */
+const eraseNamespace = async (namespace) => {
+  const { files } = metadataStore.list({ namespace, limit: Number.MAX_SAFE_INTEGER });
+  const deleted = [];
+  const failed = [];
+
+  for (const record of files) {
+    try {
+      await deleteFile(record.filename);
+      deleted.push(record);
+    } catch (error) {
+      failed.push({ filename: record.filename, error: error.message });
+      logger.error('Error erasing file of namespace', { namespace, filename: record.filename, error: error.message });
+    }
+  }
+  const tombstones = forgetTombstones(namespace);
+
+  return {
+    namespace,
+    erasedAt: new Date().toISOString(),
+    count: deleted.length,
+    size: deleted.reduce((total, record) => total + record.size, 0),
+    filenames: deleted.map(record => record.filename),
+    liveFilenames: deleted.filter(record => !record.trashedAt).map(record => record.filename),
+    trashedFilenames: deleted.filter(record => record.trashedAt).map(record => record.filename),
+    tombstones,
+    deleted,
+    failed
+  };
+};
+
+module.exports = {
+  isValidNamespace,
+  eraseNamespace
+};
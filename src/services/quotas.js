@@ -0,0 +1,128 @@
+const environment = require('../config/environment');
+const { metadataStore } = require('./metadataStore');
+const { CATEGORIES, categoryOf } = require('../utils/fileType');
+
+// Every record carries the client that uploaded it, so usage is derived from the metadata index
+// and stays correct across uploads, deletes, expiry and restarts. Trashed files count until purged.
+const clientFiles = (clientId) =>
+  metadataStore.list({ ownerId: clientId, limit: Number.MAX_SAFE_INTEGER }).files;
+
+// Files and bytes of uploads that passed the quota check and are not recorded yet, per client.
+const reservations = new Map();
+
+/**
+ * Effective quota of an API key: its own limits where set, otherwise the configured defaults.
+ * A limit of 0 means unlimited.
+ */
+const quotaFor = (apiKey) => {
+  const own = apiKey.quota || {};
+  return {
+    maxBytes: own.maxBytes !== undefined && own.maxBytes !== null ? own.maxBytes : environment.quota.maxBytes,
+    maxFiles: own.maxFiles !== undefined && own.maxFiles !== null ? own.maxFiles : environment.quota.maxFiles
+  };
+};
+
+// What a client stores, running totals of the metadata index, plus what it has reserved.
+const getTotals = (clientId) => {
+  const stored = metadataStore.ownerTotals(clientId);
+  const reserved = reservations.get(clientId) || { files: 0, bytes: 0 };
+  return { files: stored.files + reserved.files, bytes: stored.bytes + reserved.bytes };
+};
+
+const addReservation = (clientId, { bytes, files }, sign) => {
+  const reserved = reservations.get(clientId) || { files: 0, bytes: 0 };
+  reserved.files += sign * files;
+  reserved.bytes += sign * bytes;
+  if (reserved.files > 0 || reserved.bytes > 0) {
+    reservations.set(clientId, reserved);
+  } else {
+    reservations.delete(clientId);
+  }
+};
+
+/**
+ * Checks whether a client can store `files` more files totalling `bytes`, counting the uploads
+ * other requests have reserved. Returns null when it fits, or an error with code QUOTA_EXCEEDED
+ * describing the limit hit.
+ */
+const checkQuota = (apiKey, { bytes = 0, files = 1 } = {}) => {
+  const quota = quotaFor(apiKey);
+  const usage = getTotals(apiKey.clientId);
+
+  let error = null;
+  if (quota.maxFiles && usage.files + files > quota.maxFiles) {
+    error = new Error(`The client has reached its quota of ${quota.maxFiles} files`);
+  } else if (quota.maxBytes && usage.bytes + bytes > quota.maxBytes) {
+    error = new Error(`The upload would exceed the client's quota of ${quota.maxBytes} bytes (${usage.bytes} used)`);
+  } else if (quota.maxBytes && bytes === 0 && usage.bytes >= quota.maxBytes) {
+    error = new Error(`The client has used its whole quota of ${quota.maxBytes} bytes`);
+  }
+
+  if (error) {
+    error.code = 'QUOTA_EXCEEDED';
+    error.quota = quota;
+    error.usage = usage;
+  }
+  return error;
+};
+
+/**
+ * Checks the quota like checkQuota and, when the upload fits, holds its bytes and file until
+ * release() is called, so concurrent uploads of the same client cannot pass the check together.
+ * Release once the upload is recorded, or has failed. Returns { error, release }, where error is null
+ * when the upload fits and release does nothing when it does not.
+ */
+const reserveQuota = (apiKey, { bytes = 0, files = 1 } = {}) => {
+  const error = checkQuota(apiKey, { bytes, files });
+  if (error) {
+    return { error, release: () => {} };
+  }
+
+  addReservation(apiKey.clientId, { bytes, files }, 1);
+  let released = false;
+  const release = () => {
+    if (!released) {
+      released = true;
+      addReservation(apiKey.clientId, { bytes, files }, -1);
+    }
+  };
+  return { error: null, release };
+};
+
+/**
+ * Current usage of a client: totals, plus breakdowns by MIME category and by upload day (UTC).
+ */
+const getUsage = (apiKey) => {
+  const byCategory = Object.fromEntries(CATEGORIES.map(category => [category, { files: 0, bytes: 0 }]));
+  const byDay = new Map();
+  const total = { files: 0, bytes: 0 };
+
+  for (const record of clientFiles(apiKey.clientId)) {
+    const category = categoryOf(record.mimetype);
+    const day = record.uploadedAt.slice(0, 10);
+    byCategory[category] = byCategory[category] || { files: 0, bytes: 0 };
+    if (!byDay.has(day)) {
+      byDay.set(day, { date: day, files: 0, bytes: 0 });
+    }
+
+    for (const bucket of [total, byCategory[category], byDay.get(day)]) {
+      bucket.files += 1;
+      bucket.bytes += record.size;
+    }
+  }
+
+  return {
+    clientId: apiKey.clientId,
+    quota: quotaFor(apiKey),
+    total,
+    byCategory,
+    byDay: [...byDay.values()].sort((a, b) => a.date.localeCompare(b.date))
+  };
+};
+
+module.exports = {
+  quotaFor,
+  checkQuota,
+  reserveQuota,
+  getUsage
+};
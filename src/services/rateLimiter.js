@@ -0,0 +1,101 @@
+const environment = require('../config/environment');
+
+const PRUNE_INTERVAL = 60 * 1000;
+
+/**
+ * Interface of the rate limiter state. All methods return promises, so a store shared by several
+ * instances (Redis, a database) can replace the in-memory one without changing the middleware.
+ *
+ * - take(key, { perMinute, burst }) removes one token from a token bucket that holds up to burst
+ *   tokens and refills perMinute tokens a minute. Resolves to
+ *   { allowed, limit, remaining, resetSeconds, retryAfterSeconds }: resetSeconds is the time until
+ *   the bucket is full again, retryAfterSeconds the time until the next token when allowed is false
+ * - acquire(key, max) takes one of max concurrency slots, resolving to false when all are in use
+ * - release(key) gives back a slot taken with acquire
+ */
+class RateLimitStore {
+  async take() {
+    throw new Error(`${this.constructor.name} does not implement take()`);
+  }
+
+  async acquire() {
+    throw new Error(`${this.constructor.name} does not implement acquire()`);
+  }
+
+  async release() {
+    throw new Error(`${this.constructor.name} does not implement release()`);
+  }
+}
+
+// Keeps buckets and slots in this process; limits are per instance when several run side by side.
+class MemoryRateLimitStore extends RateLimitStore {
+  constructor() {
+    super();
+    this.buckets = new Map();
+    this.slots = new Map();
+    // A full bucket behaves like a missing one, so those are dropped to keep idle clients from piling up.
+    setInterval(() => this.prune(), PRUNE_INTERVAL).unref();
+  }
+
+  async take(key, { perMinute, burst }) {
+    const now = Date.now();
+    const tokensPerSecond = perMinute / 60;
+    const bucket = this.buckets.get(key);
+    const available = bucket
+      ? Math.min(burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * tokensPerSecond)
+      : burst;
+    const allowed = available >= 1;
+    const tokens = allowed ? available - 1 : available;
+    const resetSeconds = Math.ceil((burst - tokens) / tokensPerSecond);
+
+    this.buckets.set(key, { tokens, updatedAt: now, fullAt: now + resetSeconds * 1000 });
+    return {
+      allowed,
+      limit: burst,
+      remaining: Math.floor(tokens),
+      resetSeconds,
+      retryAfterSeconds: allowed ? 0 : Math.ceil((1 - tokens) / tokensPerSecond)
+    };
+  }
+
+  async acquire(key, max) {
+    const inUse = this.slots.get(key) || 0;
+    if (inUse >= max) {
+      return false;
+    }
+    this.slots.set(key, inUse + 1);
+    return true;
+  }
+
+  async release(key) {
+    const inUse = this.slots.get(key) || 0;
+    if (inUse <= 1) {
+      this.slots.delete(key);
+    } else {
+      this.slots.set(key, inUse - 1);
+    }
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.fullAt <= now) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+}
+
+const createRateLimitStore = (type) => {
+  if (type === 'memory') {
+    return new MemoryRateLimitStore();
+  }
+  throw new Error(`Unknown rate limit store: ${type}`);
+};
+
+module.exports = {
+  rateLimitStore: createRateLimitStore(environment.rateLimit.store),
+  createRateLimitStore,
+  RateLimitStore,
+  MemoryRateLimitStore
+};
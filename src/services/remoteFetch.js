@@ -0,0 +1,172 @@
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const environment = require('../config/environment');
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Request headers that only make sense for the host they were given for.
+const CREDENTIAL_HEADERS = ['authorization', 'cookie', 'proxy-authorization'];
+
+/**
+ * Address ranges a remote fetch may not reach unless private destinations are allowed:
+ * "this" network, private, carrier-grade NAT, loopback, link-local, benchmarking,
+ * multicast and reserved ranges, and their IPv6 counterparts. IPv6 forms that embed an IPv4 address
+ * (IPv4-compatible ::a.b.c.d, NAT64, 6to4 and Teredo) are blocked whole, since they can lead to any of
+ * the IPv4 ranges; IPv4-mapped addresses (::ffff:a.b.c.d) are checked against the IPv4 ranges.
+ */
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 96], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['2001::', 32], ['2002::', 16],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv6'));
+
+const remoteError = (code, message, extra = {}) => Object.assign(new Error(message), { code }, extra);
+
+const isBlockedAddress = (address) => {
+  // IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) reach the IPv4 host, so they are checked as IPv4.
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) {
+    return blockedAddresses.check(mapped[1], 'ipv4');
+  }
+  return blockedAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * DNS lookup that refuses hostnames resolving to a blocked address. The check runs on the addresses
+ * the socket actually connects to, so a hostname cannot pass validation and then rebind to a private IP.
+ */
+const guardedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+      return callback(remoteError('REMOTE_ADDRESS_BLOCKED', `${hostname} resolves to a private or reserved address`));
+    }
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const parseUrl = (value, base) => {
+  let url;
+  try {
+    url = new URL(value, base);
+  } catch (error) {
+    throw remoteError('REMOTE_URL_INVALID', 'url must be an absolute http or https URL');
+  }
+  if (!['http:', 'https:'].includes(url.protocol) || url.username || url.password) {
+    throw remoteError('REMOTE_URL_INVALID', 'url must be an absolute http or https URL without credentials');
+  }
+  return url;
+};
+
+const request = (url, headers, allowPrivate, track) => new Promise((resolve, reject) => {
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (!allowPrivate && net.isIP(hostname) && isBlockedAddress(hostname)) {
+    return reject(remoteError('REMOTE_ADDRESS_BLOCKED', `${hostname} is a private or reserved address`));
+  }
+
+  const client = url.protocol === 'https:' ? https : http;
+  const req = client.get(url, {
+    headers,
+    ...(allowPrivate ? {} : { lookup: guardedLookup })
+  }, (response) => {
+    track(response);
+    resolve(response);
+  });
+  track(req);
+  req.on('error', reject);
+});
+
+/**
+ * Starts downloading a remote file, following up to maxRedirects redirects.
+ * Resolves once the final response headers arrive, with { stream, contentType, contentLength, url }.
+ * The whole download, including reading the stream, must finish within timeout milliseconds;
+ * after that the stream fails with a REMOTE_TIMEOUT error.
+ * Failures carry a REMOTE_* code, or LIMIT_FILE_SIZE when the declared length is above maxSize.
+ */
+const fetchRemote = async (value, {
+  headers = {},
+  maxSize = environment.remoteFetch.maxSize,
+  timeout = environment.remoteFetch.timeout,
+  maxRedirects = environment.remoteFetch.maxRedirects,
+  allowPrivate = environment.remoteFetch.allowPrivate
+} = {}) => {
+  let url = parseUrl(value);
+  let requestHeaders = { ...headers };
+
+  // The request or response in progress; a timeout destroys it so whoever is reading it sees the error.
+  let active = null;
+  let timedOut = null;
+  const timer = setTimeout(() => {
+    timedOut = remoteError('REMOTE_TIMEOUT', `The remote server did not deliver the file within ${timeout}ms`);
+    active.destroy(timedOut);
+  }, timeout);
+  const track = (stream) => {
+    active = stream;
+  };
+
+  try {
+    for (let redirects = 0; ; redirects += 1) {
+      if (timedOut) {
+        throw timedOut;
+      }
+      const response = await request(url, requestHeaders, allowPrivate, track);
+
+      if (REDIRECT_STATUSES.includes(response.statusCode) && response.headers.location) {
+        response.resume();
+        if (redirects >= maxRedirects) {
+          throw remoteError('REMOTE_TOO_MANY_REDIRECTS', `The remote server redirected more than ${maxRedirects} times`);
+        }
+        const next = parseUrl(response.headers.location, url);
+        if (next.origin !== url.origin) {
+          requestHeaders = Object.fromEntries(Object.entries(requestHeaders)
+            .filter(([name]) => !CREDENTIAL_HEADERS.includes(name.toLowerCase())));
+        }
+        url = next;
+        continue;
+      }
+
+      if (response.statusCode < 200 || response.statusCode > 299) {
+        response.resume();
+        throw remoteError('REMOTE_HTTP_ERROR', `The remote server answered ${response.statusCode}`, {
+          remoteStatus: response.statusCode
+        });
+      }
+
+      const contentLength = response.headers['content-length'] !== undefined
+        ? Number(response.headers['content-length'])
+        : null;
+      if (contentLength !== null && contentLength > maxSize) {
+        response.destroy();
+        throw remoteError('LIMIT_FILE_SIZE', 'The remote file exceeds the maximum allowed size');
+      }
+
+      response.once('close', () => clearTimeout(timer));
+      return {
+        stream: response,
+        contentType: response.headers['content-type'] || null,
+        contentLength,
+        url
+      };
+    }
+  } catch (error) {
+    clearTimeout(timer);
+    throw error;
+  }
+};
+
+module.exports = {
+  isBlockedAddress,
+  fetchRemote
+};
@@ -0,0 +1,181 @@
+const path = require('path');
+const logger = require('../config/logger');
+const environment = require('../config/environment');
+const { metadataStore } = require('./metadataStore');
+const { deleteFile } = require('./deleteService');
+const { emitEvent } = require('./webhooks');
+const { policyFor } = require('./uploadPolicies');
+const { readJsonFile, writeJsonFile } = require('../utils/jsonFile');
+
+const TOMBSTONES_FILE = path.join(environment.dataPath, 'tombstones.json');
+const SWEEP_INTERVAL = environment.retentionSweepIntervalSeconds * 1000;
+
+// What is left of expired files, so requests for them answer 410 Gone instead of 404 for a while.
+const tombstones = new Map(Object.entries(readJsonFile(TOMBSTONES_FILE, {})));
+
+const status = {
+  running: false,
+  lastRun: null,
+  nextRunAt: null
+};
+
+const persistTombstones = () => writeJsonFile(TOMBSTONES_FILE, Object.fromEntries(tombstones));
+
+/**
+ * Works out when a new upload expires: an explicit expiresAt or expiresIn (seconds from now) wins,
+ * otherwise the default retention of the file's MIME category applies. Returns null for files kept forever.
+ */
+const resolveExpiry = (mimetype, { expiresIn, expiresAt } = {}) => {
+  if (expiresAt) {
+    return new Date(expiresAt).toISOString();
+  }
+  const policy = policyFor(mimetype);
+  const seconds = expiresIn || (policy && policy.retentionSeconds);
+  return seconds ? new Date(Date.now() + seconds * 1000).toISOString() : null;
+};
+
+const isExpired = (record) => Boolean(record.expiresAt) && new Date(record.expiresAt).getTime() <= Date.now();
+
+const getTombstone = (filename) => {
+  const tombstone = tombstones.get(filename);
+  return tombstone ? { filename, ...tombstone } : null;
+};
+
+/**
+ * Describes why a file is gone, or returns null when it is not expired.
+ * A record past its expiry counts as expired even before the sweeper has removed it.
+ */
+const findExpired = (filename) => {
+  const record = metadataStore.get(filename);
+  if (record) {
+    return isExpired(record) ? { filename, expiresAt: record.expiresAt } : null;
+  }
+  return getTombstone(filename);
+};
+
+const expireFile = async (record) => {
+  await deleteFile(record.filename);
+
+  tombstones.set(record.filename, {
+    ...(record.namespace ? { namespace: record.namespace } : {}),
+    originalname: record.originalname,
+    mimetype: record.mimetype,
+    size: record.size,
+    expiresAt: record.expiresAt,
+    removedAt: new Date().toISOString()
+  });
+  persistTombstones();
+
+  const expired = {
+    filename: record.filename,
+    originalname: record.originalname,
+    size: record.size,
+    mimetype: record.mimetype,
+    expiresAt: record.expiresAt
+  };
+  logger.info('Expired file removed', expired);
+  emitEvent('file.expired', expired);
+};
+
+// Drops the tombstones of a namespace's expired files before they age out. Returns how many there were.
+const forgetTombstones = (namespace) => {
+  let forgotten = 0;
+  for (const [filename, tombstone] of tombstones) {
+    if (tombstone.namespace === namespace) {
+      tombstones.delete(filename);
+      forgotten += 1;
+    }
+  }
+  if (forgotten > 0) {
+    persistTombstones();
+  }
+  return forgotten;
+};
+
+const purgeTombstones = (now) => {
+  const cutoff = now - environment.tombstoneRetentionSeconds * 1000;
+  let purged = 0;
+  for (const [filename, tombstone] of tombstones) {
+    if (new Date(tombstone.removedAt).getTime() <= cutoff) {
+      tombstones.delete(filename);
+      purged += 1;
+    }
+  }
+  if (purged > 0) {
+    persistTombstones();
+  }
+  return purged;
+};
+
+/**
+ * Deletes every file whose expiry has passed, leaving a tombstone for each, and forgets old tombstones.
+ * Resolves to the summary kept as the sweeper's last-run status.
+ */
+const sweepExpiredFiles = async () => {
+  if (status.running) {
+    return status.lastRun;
+  }
+
+  status.running = true;
+  const startedAt = new Date();
+  const run = { startedAt: startedAt.toISOString(), finishedAt: null, expired: 0, failed: 0, tombstonesPurged: 0 };
+
+  try {
+    const { files } = metadataStore.list({ expiresBefore: startedAt, limit: Number.MAX_SAFE_INTEGER });
+    for (const record of files) {
+      try {
+        await expireFile(record);
+        run.expired += 1;
+      } catch (error) {
+        run.failed += 1;
+        logger.error('Error removing expired file', { filename: record.filename, error: error.message });
+      }
+    }
+    run.tombstonesPurged = purgeTombstones(startedAt.getTime());
+  } catch (error) {
+    run.error = error.message;
+    logger.error('Error sweeping expired files', { error: error.message });
+  } finally {
+    run.finishedAt = new Date().toISOString();
+    status.running = false;
+    status.lastRun = run;
+  }
+
+  if (run.expired > 0 || run.failed > 0) {
+    logger.info('Retention sweep finished', run);
+  }
+  return run;
+};
+
+const getSweeperStatus = () => ({
+  intervalSeconds: environment.retentionSweepIntervalSeconds,
+  tombstoneRetentionSeconds: environment.tombstoneRetentionSeconds,
+  defaultRetentionSeconds: Object.fromEntries(
+    Object.entries(environment.uploadPolicies).map(([category, policy]) => [category, policy.retentionSeconds])
+  ),
+  tombstones: tombstones.size,
+  ...status
+});
+
+const startRetentionSweeper = () => {
+  const schedule = () => {
+    status.nextRunAt = new Date(Date.now() + SWEEP_INTERVAL).toISOString();
+  };
+  const timer = setInterval(() => {
+    sweepExpiredFiles().finally(schedule);
+  }, SWEEP_INTERVAL);
+  timer.unref();
+  schedule();
+  return timer;
+};
+
+module.exports = {
+  resolveExpiry,
+  isExpired,
+  getTombstone,
+  findExpired,
+  forgetTombstones,
+  sweepExpiredFiles,
+  getSweeperStatus,
+  startRetentionSweeper
+};
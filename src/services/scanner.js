@@ -0,0 +1,160 @@
+const net = require('net');
+const logger = require('../config/logger');
+const environment = require('../config/environment');
+const { storage } = require('../storage');
+const { metadataStore } = require('./metadataStore');
+const { getBlob, quarantineBlob, recordBlobScan } = require('./contentStore');
+
+const scanError = (message) => Object.assign(new Error(message), { code: 'SCAN_UNAVAILABLE' });
+
+const isScanningEnabled = () => ['sync', 'async'].includes(environment.scan.mode);
+
+// "stream: OK", "stream: Eicar-Signature FOUND" or "<reason> ERROR"
+const parseReply = (reply) => {
+  const text = reply.replace(/^stream: /, '').trim();
+  if (text === 'OK') {
+    return { status: 'clean', signature: null };
+  }
+  const found = /^(.+) FOUND$/.exec(text);
+  if (found) {
+    return { status: 'infected', signature: found[1] };
+  }
+  throw scanError(`clamd could not scan the file: ${text}`);
+};
+
+/**
+ * Sends a stream to clamd with the INSTREAM command: "zINSTREAM\0", then chunks each prefixed
+ * with their length as a 4-byte big-endian integer, then a zero-length chunk. clamd answers with
+ * one NUL-terminated line. Resolves to { status: 'clean' | 'infected', signature } and rejects
+ * with a SCAN_UNAVAILABLE error when clamd cannot be reached or cannot scan the file.
+ */
+const scanWithClamd = (stream, {
+  host = environment.scan.clamdHost,
+  port = environment.scan.clamdPort,
+  timeout = environment.scan.timeout
+} = {}) => new Promise((resolve, reject) => {
+  const socket = net.connect({ host, port });
+  let reply = '';
+  let settled = false;
+
+  const finish = (error, verdict) => {
+    if (settled) {
+      return;
+    }
+    settled = true;
+    socket.destroy();
+    stream.destroy();
+    if (error) {
+      return reject(error);
+    }
+    try {
+      resolve(parseReply(verdict));
+    } catch (parseError) {
+      reject(parseError);
+    }
+  };
+
+  socket.setTimeout(timeout, () => finish(scanError(`clamd did not answer within ${timeout}ms`)));
+  socket.on('error', error => finish(scanError(`clamd is unreachable: ${error.message}`)));
+  socket.on('data', chunk => {
+    reply += chunk.toString('utf8');
+    const end = reply.indexOf('\0');
+    if (end !== -1) {
+      finish(null, reply.slice(0, end));
+    }
+  });
+  socket.on('end', () => finish(reply ? null : scanError('clamd closed the connection without a verdict'), reply));
+
+  socket.on('connect', () => {
+    socket.write('zINSTREAM\0');
+    stream.on('data', chunk => {
+      const length = Buffer.alloc(4);
+      length.writeUInt32BE(chunk.length);
+      socket.write(length);
+      if (!socket.write(chunk)) {
+        stream.pause();
+        socket.once('drain', () => stream.resume());
+      }
+    });
+    stream.on('end', () => socket.write(Buffer.alloc(4)));
+    stream.on('error', error => finish(error));
+  });
+});
+
+// Checks that clamd answers: "zPING\0" is answered with "PONG\0". Rejects with a SCAN_UNAVAILABLE error.
+const pingClamd = ({
+  host = environment.scan.clamdHost,
+  port = environment.scan.clamdPort,
+  timeout = environment.scan.timeout
+} = {}) => new Promise((resolve, reject) => {
+  const socket = net.connect({ host, port });
+  let reply = '';
+  const fail = (message) => {
+    socket.destroy();
+    reject(scanError(message));
+  };
+
+  socket.setTimeout(timeout, () => fail(`clamd did not answer within ${timeout}ms`));
+  socket.on('error', error => fail(`clamd is unreachable: ${error.message}`));
+  socket.on('connect', () => socket.write('zPING\0'));
+  socket.on('data', chunk => {
+    reply += chunk.toString('utf8');
+    if (reply.includes('\0')) {
+      socket.destroy();
+      const answer = reply.slice(0, reply.indexOf('\0'));
+      return answer === 'PONG' ? resolve() : reject(scanError(`clamd answered ${answer}`));
+    }
+  });
+  socket.on('end', () => fail('clamd closed the connection without answering'));
+});
+
+/**
+ * Scans stored content by its SHA-256, or reuses the verdict when the same bytes were scanned before.
+ * Infected content is moved to quarantine first. Content over SCAN_MAX_SIZE is not sent to clamd and
+ * comes back as skipped, without recording a verdict, so raising the limit scans it on the next upload.
+ * Resolves to { status, signature, scannedAt, storageKey }.
+ */
+const scanContent = async (sha256) => {
+  const blob = getBlob(sha256);
+  if (!blob) {
+    throw new Error(`No stored content for ${sha256}`);
+  }
+  if (blob.scan) {
+    return { ...blob.scan, storageKey: blob.key };
+  }
+  if (blob.size > environment.scan.maxSize) {
+    logger.warn('Content too large to scan', { sha256, size: blob.size, maxSize: environment.scan.maxSize });
+    return { status: 'skipped', signature: null, scannedAt: null, storageKey: blob.key };
+  }
+
+  const verdict = {
+    ...await scanWithClamd(await storage.get(blob.key)),
+    scannedAt: new Date().toISOString()
+  };
+  const storageKey = verdict.status === 'infected' ? await quarantineBlob(sha256) : blob.key;
+  recordBlobScan(sha256, verdict);
+
+  logger.info('Content scanned', { sha256, status: verdict.status, signature: verdict.signature });
+  return { ...verdict, storageKey };
+};
+
+/**
+ * Records an infected verdict on every file sharing the content, since they all point at the
+ * quarantined bytes now. Returns the filenames that were updated.
+ */
+const quarantineFiles = (sha256, { status, signature, scannedAt, storageKey }) => {
+  const { files } = metadataStore.list({ sha256, limit: Number.MAX_SAFE_INTEGER });
+  files.forEach(record => metadataStore.update(record.filename, {
+    storageKey,
+    scan: { status, signature, scannedAt }
+  }));
+  return files.map(record => record.filename);
+};
+
+module.exports = {
+  isScanningEnabled,
+  scanWithClamd,
+  pingClamd,
+  scanContent,
+  quarantineFiles
+};
@@ -0,0 +1,148 @@
+const logger = require('../config/logger');
+const environment = require('../config/environment');
+const { metadataStore } = require('./metadataStore');
+const { deleteFile } = require('./deleteService');
+
+const PURGE_INTERVAL = environment.trashPurgeIntervalSeconds * 1000;
+
+// Deleted files keep their record and their reference to the stored bytes until they are purged,
+// so a restore only has to clear these two fields.
+const isTrashed = (record) => Boolean(record && record.trashedAt);
+
+/**
+ * Moves a file to the trash. Resolves to the updated record, or null when there is no live file
+ * by that name. Files without a metadata record cannot be restored and are left to the caller.
+ */
+const trashFile = async (filename) => {
+  const record = metadataStore.get(filename);
+  if (!record || isTrashed(record)) {
+    return null;
+  }
+
+  const trashedAt = new Date();
+  return metadataStore.update(filename, {
+    trashedAt: trashedAt.toISOString(),
+    purgeAt: new Date(trashedAt.getTime() + environment.trashRetentionSeconds * 1000).toISOString()
+  });
+};
+
+// Takes a file out of the trash. Resolves to the restored record, or null when it is not in the trash.
+const restoreFile = async (filename) => {
+  const record = metadataStore.get(filename);
+  if (!isTrashed(record)) {
+    return null;
+  }
+  const { trashedAt, purgeAt, ...restored } = record;
+  return metadataStore.save(restored);
+};
+
+// Permanently deletes a file from the trash. Resolves like deleteFile, or null when it is not in the trash.
+const purgeFile = async (filename) => {
+  if (!isTrashed(metadataStore.get(filename))) {
+    return null;
+  }
+  return deleteFile(filename);
+};
+
+/**
+ * What the delete endpoints do: moves the file to the trash, or deletes it right away when permanent
+ * is set (trashed files included) or when it has no metadata record to keep.
+ * Resolves to { filename, size, trashed, purgeAt, remainingReferences }, or null when there is no
+ * file to delete (already trashed files count as missing unless permanent is set).
+ */
+const removeFile = async (filename, { permanent = false } = {}) => {
+  const record = metadataStore.get(filename);
+  if (permanent || !record) {
+    const deleted = await deleteFile(filename);
+    return deleted && { ...deleted, trashed: false, purgeAt: null };
+  }
+
+  const trashed = await trashFile(filename);
+  return trashed && {
+    filename,
+    size: trashed.size,
+    trashed: true,
+    purgeAt: trashed.purgeAt,
+    remainingReferences: null
+  };
+};
+
+const status = {
+  running: false,
+  lastRun: null
+};
+
+/**
+ * Permanently deletes every trashed file whose purge time has passed.
+ * Resolves to the summary kept as the purger's last-run status.
+ */
+const purgeTrash = async () => {
+  if (status.running) {
+    return status.lastRun;
+  }
+
+  status.running = true;
+  const startedAt = new Date();
+  const run = { startedAt: startedAt.toISOString(), finishedAt: null, purged: 0, failed: 0 };
+
+  try {
+    const { files } = metadataStore.list({ trashed: true, limit: Number.MAX_SAFE_INTEGER });
+    for (const record of files.filter(file => new Date(file.purgeAt) <= startedAt)) {
+      try {
+        await deleteFile(record.filename);
+        run.purged += 1;
+        logger.info('Trashed file purged', {
+          filename: record.filename,
+          originalname: record.originalname,
+          size: record.size,
+          trashedAt: record.trashedAt
+        });
+      } catch (error) {
+        run.failed += 1;
+        logger.error('Error purging trashed file', { filename: record.filename, error: error.message });
+      }
+    }
+  } catch (error) {
+    run.error = error.message;
+    logger.error('Error purging trash', { error: error.message });
+  } finally {
+    run.finishedAt = new Date().toISOString();
+    status.running = false;
+    status.lastRun = run;
+  }
+
+  if (run.purged > 0 || run.failed > 0) {
+    logger.info('Trash purge finished', run);
+  }
+  return run;
+};
+
+const getPurgerStatus = () => ({
+  retentionSeconds: environment.trashRetentionSeconds,
+  intervalSeconds: environment.trashPurgeIntervalSeconds,
+  trashed: metadataStore.list({ trashed: true, limit: 1 }).total,
+  ...status
+});
+
+const startTrashPurger = () => {
+  const schedule = () => {
+    status.nextRunAt = new Date(Date.now() + PURGE_INTERVAL).toISOString();
+  };
+  const timer = setInterval(() => {
+    purgeTrash().finally(schedule);
+  }, PURGE_INTERVAL);
+  timer.unref();
+  schedule();
+  return timer;
+};
+
+module.exports = {
+  isTrashed,
+  trashFile,
+  restoreFile,
+  purgeFile,
+  removeFile,
+  purgeTrash,
+  getPurgerStatus,
+  startTrashPurger
+};
@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../config/logger');
+const environment = require('../config/environment');
+const { readJsonFile, writeJsonFile } = require('../utils/jsonFile');
+
+const TUS_DIR = path.join(environment.dataPath, 'tus');
+const SWEEP_INTERVAL = 10 * 60 * 1000;
+
+// Each resumable upload is a "<id>.json" state file next to a "<id>.part" file holding the bytes received so far.
+const statePath = (id) => path.join(TUS_DIR, `${id}.json`);
+const partPath = (id) => path.join(TUS_DIR, `${id}.part`);
+
+const isValidId = (id) => /^[a-f0-9]{32}$/.test(id);
+
+const nextExpiry = () => new Date(Date.now() + environment.tusExpirationSeconds * 1000).toISOString();
+
+const saveState = (upload) => writeJsonFile(statePath(upload.id), upload);
+
+const createUpload = ({ length, metadata, keyId, clientId }) => {
+  fs.mkdirSync(TUS_DIR, { recursive: true });
+  const upload = {
+    id: crypto.randomBytes(16).toString('hex'),
+    length,
+    metadata,
+    keyId,
+    clientId,
+    createdAt: new Date().toISOString(),
+    expiresAt: nextExpiry(),
+    result: null
+  };
+  fs.writeFileSync(partPath(upload.id), '');
+  saveState(upload);
+  return upload;
+};
+
+/**
+ * Loads an upload with its current offset. The offset is the size of the part file,
+ * so bytes that reached the disk before a crash or restart are never asked for again.
+ */
+const getUpload = (id) => {
+  if (!isValidId(id)) {
+    return null;
+  }
+  const upload = readJsonFile(statePath(id), null);
+  if (!upload || new Date(upload.expiresAt).getTime() <= Date.now()) {
+    return null;
+  }
+  if (upload.result) {
+    return { ...upload, offset: upload.length };
+  }
+  try {
+    return { ...upload, offset: fs.statSync(partPath(id)).size };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+const touchUpload = (upload) => {
+  const { offset, ...state } = upload;
+  state.expiresAt = nextExpiry();
+  saveState(state);
+  return { ...state, offset };
+};
+
+const markCompleted = (upload, result) => {
+  const { offset, ...state } = upload;
+  state.result = result;
+  saveState(state);
+  fs.rmSync(partPath(upload.id), { force: true });
+  return { ...state, offset };
+};
+
+const removeUpload = (id) => {
+  fs.rmSync(partPath(id), { force: true });
+  fs.rmSync(statePath(id), { force: true });
+};
+
+// Deletes uploads (finished or not) whose expiry has passed.
+const sweepExpiredUploads = () => {
+  let entries;
+  try {
+    entries = fs.readdirSync(TUS_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return 0;
+    }
+    throw error;
+  }
+
+  let removed = 0;
+  const now = Date.now();
+  for (const entry of entries.filter(name => name.endsWith('.json'))) {
+    const id = path.basename(entry, '.json');
+    const upload = readJsonFile(statePath(id), null);
+    if (!upload || new Date(upload.expiresAt).getTime() <= now) {
+      removeUpload(id);
+      removed += 1;
+    }
+  }
+
+  if (removed > 0) {
+    logger.info('Expired resumable uploads removed', { count: removed });
+  }
+  return removed;
+};
+
+const startExpirySweeper = () => {
+  const timer = setInterval(() => {
+    try {
+      sweepExpiredUploads();
+    } catch (error) {
+      logger.error('Error sweeping expired resumable uploads', { error: error.message });
+    }
+  }, SWEEP_INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  partPath,
+  createUpload,
+  getUpload,
+  touchUpload,
+  markCompleted,
+  removeUpload,
+  sweepExpiredUploads,
+  startExpirySweeper
+};
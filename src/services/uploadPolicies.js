@@ -0,0 +1,68 @@
+const path = require('path');
+const mime = require('mime-types');
+const environment = require('../config/environment');
+const { FILE_TYPES } = require('../utils/fileType');
+
+// Every extension a MIME type is known by, starting with the one its stored files get.
+const extensionsOf = (mimetype) =>
+  [...new Set([FILE_TYPES[mimetype].ext, ...(mime.extensions[mimetype] || []).map(ext => `.${ext}`)])];
+
+// The upload policy ({ maxSize, extensions, retentionSeconds }) of the type's category, or null.
+const policyFor = (mimetype) => (FILE_TYPES[mimetype] ? environment.uploadPolicies[FILE_TYPES[mimetype].category] : null);
+
+// A type is accepted when the policy of its category allows one of its extensions.
+const isAllowedMimeType = (mimetype) => {
+  const policy = policyFor(mimetype);
+  return Boolean(policy) && extensionsOf(mimetype).some(ext => policy.extensions.includes(ext));
+};
+
+const ALLOWED_MIME_TYPES = Object.keys(FILE_TYPES).filter(isAllowedMimeType);
+
+// The largest file any category accepts, for limits that apply before the type is known.
+const MAX_UPLOAD_SIZE = Math.max(...Object.values(environment.uploadPolicies).map(policy => policy.maxSize));
+
+const maxSizeFor = (mimetype) => (policyFor(mimetype) ? policyFor(mimetype).maxSize : MAX_UPLOAD_SIZE);
+
+// Only the last part of the name counts; all-digit endings ("scan 2024.05") are not extensions.
+const extensionOf = (originalname) => {
+  const ext = path.extname(originalname || '').toLowerCase();
+  return /^\.\d*$/.test(ext) ? '' : ext;
+};
+
+/**
+ * Checks a file against the policy of its category before its content is read: the type must be
+ * allowed and an extension in the original name must be one of the category's. Names without an
+ * extension are accepted, since the content is checked against the type anyway.
+ * Returns null when the file may be uploaded, or { status, error, message, reason }.
+ */
+const checkUploadPolicy = ({ mimetype, originalname }) => {
+  if (!isAllowedMimeType(mimetype)) {
+    return {
+      status: 400,
+      error: 'Unsupported file type',
+      message: 'The uploaded file type is not supported',
+      reason: 'unsupported_type'
+    };
+  }
+
+  const ext = extensionOf(originalname);
+  const { extensions } = policyFor(mimetype);
+  if (ext && !extensions.includes(ext)) {
+    return {
+      status: 400,
+      error: 'Unsupported file extension',
+      message: `${FILE_TYPES[mimetype].category} files must be named with one of: ${extensions.join(', ')}`,
+      reason: 'unsupported_extension'
+    };
+  }
+  return null;
+};
+
+module.exports = {
+  ALLOWED_MIME_TYPES,
+  MAX_UPLOAD_SIZE,
+  policyFor,
+  isAllowedMimeType,
+  maxSizeFor,
+  checkUploadPolicy
+};
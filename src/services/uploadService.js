@@ -0,0 +1,255 @@
+const { Transform, pipeline } = require('stream');
+const { finished } = require('stream/promises');
+const logger = require('../config/logger');
+const environment = require('../config/environment');
+const { metadataStore } = require('./metadataStore');
+const { isMedia, extractMediaInfo } = require('./mediaInfo');
+const { resolveExpiry } = require('./retention');
+const { storeContent, getBlob } = require('./contentStore');
+const { isScanningEnabled, scanContent, quarantineFiles } = require('./scanner');
+const { emitEvent } = require('./webhooks');
+const { uploadedBytes } = require('./metrics');
+const { checkFileType, peekStream } = require('../utils/fileType');
+
+/**
+ * Drops everything past maxSize and fails once the input ends. The input is read to the end
+ * either way, so the rest of a multipart request can still be parsed after an oversized file.
+ */
+const limitSize = (maxSize) => {
+  let received = 0;
+  return new Transform({
+    transform(chunk, encoding, cb) {
+      received += chunk.length;
+      cb(null, received > maxSize ? undefined : chunk);
+    },
+    flush(cb) {
+      if (received <= maxSize) {
+        return cb();
+      }
+      const error = new Error(`The uploaded file exceeds the maximum allowed size of ${maxSize} bytes`);
+      error.code = 'LIMIT_FILE_SIZE';
+      cb(error);
+    }
+  });
+};
+
+/**
+ * Checks the leading bytes of an upload against its declared MIME type, then streams it into the
+ * deduplicating content store, enforcing maxFileSize on the way. Every upload path stores its bytes here.
+ * Resolves to { sha256, size, storageKey, deduplicated } and rejects with a
+ * FILE_TYPE_MISMATCH or LIMIT_FILE_SIZE error. With drainRejected, the rest of a mismatched stream
+ * is still read so the request it belongs to can go on.
+ */
+const storeUpload = async (source, { mimetype, originalname, maxFileSize, drainRejected = false, logMeta = {} }) => {
+  const { head, stream } = await peekStream(source);
+
+  const mismatch = checkFileType(mimetype, head);
+  if (mismatch) {
+    logger.warn('File content does not match declared type', {
+      declaredType: mismatch.declaredType,
+      detectedType: mismatch.detectedType,
+      originalname,
+      ...logMeta
+    });
+    if (drainRejected) {
+      await finished(stream.resume()).catch(() => {});
+    }
+    throw mismatch;
+  }
+
+  const input = maxFileSize ? pipeline(stream, limitSize(maxFileSize), () => {}) : stream;
+  try {
+    return await storeContent(input, { contentType: mimetype });
+  } catch (error) {
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      logger.warn('Uploaded file too large', { originalname, maxFileSize, ...logMeta });
+    }
+    throw error;
+  }
+};
+
+const buildUploadResponse = (record) => ({
+  filePath: `${environment.baseUrl}/files/${record.filename}`,
+  filename: record.filename,
+  originalname: record.originalname,
+  size: record.size,
+  mimetype: record.mimetype,
+  sha256: record.sha256,
+  namespace: record.namespace || null,
+  ...(record.media ? { media: record.media } : {}),
+  ...(record.scan ? { scan: record.scan } : {}),
+  expiresAt: record.expiresAt || null
+});
+
+const toScanRecord = ({ status, signature, scannedAt }) => ({ status, signature, scannedAt });
+
+// Upload failures the client is told about, by error code. Anything else is an internal error.
+const UPLOAD_FAILURES = {
+  FILE_INFECTED: { status: 422, error: 'File infected' },
+  SCAN_UNAVAILABLE: { status: 503, error: 'Scan unavailable' }
+};
+
+/**
+ * Describes an error thrown by completeUpload as { status, error, message } for the response,
+ * or returns null when it is not one the client can act on.
+ */
+const uploadFailure = (error) => {
+  const failure = UPLOAD_FAILURES[error.code];
+  return failure ? { ...failure, message: error.message } : null;
+};
+
+const quarantineUpload = (record, verdict) => {
+  const filenames = quarantineFiles(record.sha256, verdict);
+  logger.warn('Infected upload quarantined', {
+    filename: record.filename,
+    originalname: record.originalname,
+    sha256: record.sha256,
+    signature: verdict.signature,
+    quarantinedFiles: filenames.length
+  });
+};
+
+/**
+ * Records a file that has been written to storage and resolves to the upload response body.
+ * Audio and video files get their container metadata (duration, codecs, ...) extracted first.
+ * retention ({ expiresIn } or { expiresAt }) overrides the default retention of the file's MIME category,
+ * ownerId is the API client the file counts against for quotas and usage, and the optional namespace
+ * (a tenant, chat or conversation id) groups files that are listed and erased together.
+ *
+ * With malware scanning enabled, the sync mode scans the content before answering and rejects with
+ * FILE_INFECTED (the file stays recorded, in quarantine) or SCAN_UNAVAILABLE (nothing is recorded).
+ * The async mode records the file as pending and leaves the verdict to the scan worker.
+ * Content that was scanned before keeps its verdict in every mode, even with scanning off, so
+ * bytes that were quarantined once are rejected again instead of being served through a new upload.
+ *
+ * Every upload path (multipart, resumable, ...) finishes through here so they all answer the same way
+ * and all fire the file.uploaded webhook event, once the file can be served.
+ */
+const completeUpload = async ({ filename, originalname, size, mimetype, sha256, storageKey, deduplicated, retention, ownerId, namespace }, logMeta = {}) => {
+  let scan = null;
+  let servedKey = storageKey;
+  const blob = getBlob(sha256);
+  if ((blob && blob.scan) || environment.scan.mode === 'sync') {
+    const verdict = await scanContent(sha256);
+    scan = toScanRecord(verdict);
+    servedKey = verdict.storageKey;
+  } else if (isScanningEnabled()) {
+    scan = { status: 'pending', signature: null, scannedAt: null };
+  }
+
+  const media = isMedia(mimetype) ? await extractMediaInfo(servedKey, size, mimetype) : null;
+
+  const record = metadataStore.save({
+    filename,
+    originalname,
+    size,
+    mimetype,
+    sha256,
+    storageKey: servedKey,
+    ownerId,
+    ...(namespace ? { namespace } : {}),
+    ...(media ? { media } : {}),
+    ...(scan ? { scan } : {}),
+    uploadedAt: new Date().toISOString(),
+    expiresAt: resolveExpiry(mimetype, retention)
+  });
+
+  if (scan && scan.status === 'infected') {
+    quarantineUpload(record, { ...scan, storageKey: servedKey });
+    throw Object.assign(new Error(`Malware detected: ${scan.signature}`), { code: 'FILE_INFECTED' });
+  }
+
+  logger.info('File uploaded successfully', { 
+    filename,
+    originalname,
+    size,
+    mimetype,
+    sha256,
+    deduplicated,
+    namespace,
+    expiresAt: record.expiresAt,
+    ...(scan ? { scanStatus: scan.status } : {}),
+    ...logMeta
+  });
+  uploadedBytes.inc({}, size);
+
+  const response = buildUploadResponse(record);
+  if (scan && scan.status === 'pending') {
+    scanPendingUploads();
+  } else {
+    emitEvent('file.uploaded', response);
+  }
+  return response;
+};
+
+const scanPendingUpload = async (record) => {
+  try {
+    const verdict = await scanContent(record.sha256);
+    if (verdict.status === 'infected') {
+      return quarantineUpload(record, verdict);
+    }
+
+    const updated = metadataStore.update(record.filename, { storageKey: verdict.storageKey, scan: toScanRecord(verdict) });
+    if (updated) {
+      logger.info('Upload scanned clean', { filename: record.filename, sha256: record.sha256 });
+      // A file trashed while it waited is announced by file.restored if it ever comes back.
+      if (!updated.trashedAt) {
+        emitEvent('file.uploaded', buildUploadResponse(updated));
+      }
+    }
+  } catch (error) {
+    metadataStore.update(record.filename, {
+      scan: { ...record.scan, lastError: error.message, lastAttemptAt: new Date().toISOString() }
+    });
+    logger.warn('Upload scan failed, will retry', { filename: record.filename, error: error.message });
+  }
+};
+
+let scanRun = null;
+let scanAgain = false;
+
+/**
+ * Scans every upload still waiting for a verdict, oldest first. Uploads arriving during a run
+ * make it go around once more instead of starting a second run.
+ */
+const scanPendingUploads = () => {
+  if (scanRun) {
+    scanAgain = true;
+    return scanRun;
+  }
+
+  scanRun = (async () => {
+    do {
+      scanAgain = false;
+      const { files } = metadataStore.list({ scanStatus: 'pending', limit: Number.MAX_SAFE_INTEGER });
+      for (const record of files.reverse()) {
+        await scanPendingUpload(record);
+      }
+    } while (scanAgain);
+  })()
+    .catch(error => logger.error('Scan run failed', { error: error.message }))
+    .finally(() => {
+      scanRun = null;
+    });
+  return scanRun;
+};
+
+// Pending uploads are retried periodically, which also picks up the ones left by a restart.
+const startScanWorker = () => {
+  if (!isScanningEnabled()) {
+    return null;
+  }
+  const interval = setInterval(scanPendingUploads, environment.scan.retryIntervalSeconds * 1000);
+  interval.unref();
+  setImmediate(scanPendingUploads);
+  return interval;
+};
+
+module.exports = {
+  storeUpload,
+  buildUploadResponse,
+  uploadFailure,
+  completeUpload,
+  scanPendingUploads,
+  startScanWorker
+};
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const path = require('path');
+const environment = require('../config/environment');
+const { readJsonFile, writeJsonFile } = require('../utils/jsonFile');
+
+const NONCES_FILE = path.join(environment.dataPath, 'signed-url-nonces.json');
+
+// Nonces of single-use URLs that were already redeemed, keyed to their expiry (unix seconds).
+const usedNonces = new Map(Object.entries(readJsonFile(NONCES_FILE, {})));
+
+const isSigningConfigured = () => Boolean(environment.signingSecret);
+
+const computeSignature = (filename, expires, ip, nonce) =>
+  crypto
+    .createHmac('sha256', environment.signingSecret)
+    .update([filename, expires, ip || '', nonce || ''].join('\n'))
+    .digest('base64url');
+
+/**
+ * Builds an HMAC-signed download URL for a stored file.
+ * The expiry, the optional client IP and the optional single-use nonce are all covered by the signature.
+ */
+const signFileUrl = (filename, { expiresIn = environment.signedUrlTtl, ip, singleUse = false } = {}) => {
+  if (!isSigningConfigured()) {
+    throw new Error('URL signing secret is not configured');
+  }
+
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  const nonce = singleUse ? crypto.randomBytes(12).toString('base64url') : undefined;
+  const params = new URLSearchParams({ expires: String(expires) });
+  if (ip) {
+    params.set('ip', ip);
+  }
+  if (nonce) {
+    params.set('nonce', nonce);
+  }
+  params.set('signature', computeSignature(filename, expires, ip, nonce));
+
+  return {
+    url: `${environment.baseUrl}/files/${encodeURIComponent(filename)}?${params}`,
+    expiresAt: new Date(expires * 1000).toISOString()
+  };
+};
+
+const pruneNonces = (now) => {
+  for (const [nonce, expires] of usedNonces) {
+    if (expires < now) {
+      usedNonces.delete(nonce);
+    }
+  }
+};
+
+/**
+ * Checks the signature query parameters of a download request.
+ * Returns null when the URL is valid, or the reason it was refused. A valid single-use URL is only
+ * used up by consumeFileUrl, once the download goes ahead.
+ */
+const verifyFileUrl = (filename, { expires, ip, nonce, signature }, clientIp) => {
+  if (!isSigningConfigured()) {
+    return 'URL signing is not configured';
+  }
+  if (typeof signature !== 'string' || typeof expires !== 'string') {
+    return 'Missing signature parameters';
+  }
+
+  const expected = Buffer.from(computeSignature(filename, expires, ip, nonce));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return 'Invalid signature';
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (Number(expires) < now) {
+    return 'Signed URL has expired';
+  }
+  if (ip && ip !== clientIp) {
+    return 'Signed URL is bound to a different IP address';
+  }
+  if (nonce && usedNonces.has(nonce)) {
+    return 'Signed URL has already been used';
+  }
+
+  return null;
+};
+
+// Marks a verified single-use URL as used. Returns null, or the reason when it was used in the meantime.
+const consumeFileUrl = ({ expires, nonce }) => {
+  if (!nonce) {
+    return null;
+  }
+  if (usedNonces.has(nonce)) {
+    return 'Signed URL has already been used';
+  }
+  pruneNonces(Math.floor(Date.now() / 1000));
+  usedNonces.set(nonce, Number(expires));
+  writeJsonFile(NONCES_FILE, Object.fromEntries(usedNonces));
+  return null;
+};
+
+module.exports = {
+  isSigningConfigured,
+  signFileUrl,
+  verifyFileUrl,
+  consumeFileUrl
+};
@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+const path = require('path');
+const logger = require('../config/logger');
+const environment = require('../config/environment');
+const { readJsonFile, writeJsonFile } = require('../utils/jsonFile');
+
+const WEBHOOKS_FILE = path.join(environment.dataPath, 'webhooks.json');
+const DELIVERIES_FILE = path.join(environment.dataPath, 'webhook-deliveries.json');
+const EVENTS = ['file.uploaded', 'file.deleted', 'file.restored', 'file.expired'];
+
+const webhooks = new Map(readJsonFile(WEBHOOKS_FILE, []).map(webhook => [webhook.id, webhook]));
+
+// Oldest first. Pending deliveries survive restarts and are retried from here; finished ones are
+// kept as history up to the configured size.
+let deliveries = readJsonFile(DELIVERIES_FILE, []);
+
+const persistWebhooks = () => writeJsonFile(WEBHOOKS_FILE, [...webhooks.values()]);
+
+const persistDeliveries = () => {
+  const finished = deliveries.filter(delivery => delivery.status !== 'pending');
+  const excess = finished.length - environment.webhooks.historySize;
+  if (excess > 0) {
+    const dropped = new Set(finished.slice(0, excess));
+    deliveries = deliveries.filter(delivery => !dropped.has(delivery));
+  }
+  writeJsonFile(DELIVERIES_FILE, deliveries);
+};
+
+// The signing secret is only returned when the webhook is created.
+const toPublicWebhook = ({ secret, ...webhook }) => webhook;
+
+const createWebhook = ({ url, events, description = null }) => {
+  const secret = `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+  const webhook = {
+    id: crypto.randomBytes(8).toString('hex'),
+    url,
+    events: [...new Set(events)],
+    description,
+    secret,
+    createdAt: new Date().toISOString()
+  };
+  webhooks.set(webhook.id, webhook);
+  persistWebhooks();
+  return { ...toPublicWebhook(webhook), secret };
+};
+
+const listWebhooks = () => [...webhooks.values()].map(toPublicWebhook);
+
+const deleteWebhook = (id) => {
+  const webhook = webhooks.get(id);
+  if (!webhook) {
+    return null;
+  }
+  webhooks.delete(id);
+  persistWebhooks();
+  return toPublicWebhook(webhook);
+};
+
+/**
+ * Most recent deliveries first, with every attempt made so far.
+ * Filters: webhookId, event (type) and status (pending, delivered, failed).
+ */
+const listDeliveries = ({ webhookId, event, status, limit = 50 } = {}) => deliveries
+  .filter(delivery => !webhookId || delivery.webhookId === webhookId)
+  .filter(delivery => !event || delivery.event.type === event)
+  .filter(delivery => !status || delivery.status === status)
+  .slice(-limit)
+  .reverse();
+
+/**
+ * Signature over "<timestamp>.<body>", so receivers can reject replayed deliveries by their timestamp.
+ * Sent as X-Webhook-Signature: sha256=<hex>.
+ */
+const signPayload = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// Delay before the given retry: the base delay doubled for every failed attempt.
+const retryDelay = (attempts) => environment.webhooks.retryBaseSeconds * 1000 * 2 ** (attempts - 1);
+
+const attemptDelivery = async (delivery) => {
+  const webhook = webhooks.get(delivery.webhookId);
+  const attempt = { at: new Date().toISOString(), statusCode: null, error: null, durationMs: 0 };
+
+  if (!webhook) {
+    attempt.error = 'The webhook was deleted';
+  } else {
+    const body = JSON.stringify(delivery.event);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'chat-media-bucket-webhooks',
+          'X-Webhook-Id': delivery.id,
+          'X-Webhook-Event': delivery.event.type,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(environment.webhooks.timeout)
+      });
+      attempt.statusCode = response.status;
+      if (response.body) {
+        await response.body.cancel();
+      }
+      if (!response.ok) {
+        attempt.error = `Endpoint answered ${response.status}`;
+      }
+    } catch (error) {
+      attempt.error = error.name === 'TimeoutError'
+        ? `No response within ${environment.webhooks.timeout}ms`
+        : (error.cause && error.cause.message) || error.message;
+    }
+    attempt.durationMs = Date.now() - startedAt;
+  }
+
+  delivery.attempts.push(attempt);
+  if (!attempt.error) {
+    delivery.status = 'delivered';
+    delivery.nextAttemptAt = null;
+    delivery.deliveredAt = attempt.at;
+    logger.info('Webhook delivered', { deliveryId: delivery.id, webhookId: delivery.webhookId, event: delivery.event.type });
+  } else if (!webhook || delivery.attempts.length >= environment.webhooks.maxAttempts) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+    logger.error('Webhook delivery failed permanently', {
+      deliveryId: delivery.id,
+      webhookId: delivery.webhookId,
+      event: delivery.event.type,
+      attempts: delivery.attempts.length,
+      error: attempt.error
+    });
+  } else {
+    delivery.nextAttemptAt = new Date(Date.now() + retryDelay(delivery.attempts.length)).toISOString();
+    logger.warn('Webhook delivery failed, will retry', {
+      deliveryId: delivery.id,
+      webhookId: delivery.webhookId,
+      event: delivery.event.type,
+      attempts: delivery.attempts.length,
+      nextAttemptAt: delivery.nextAttemptAt,
+      error: attempt.error
+    });
+  }
+  persistDeliveries();
+};
+
+let processing = false;
+
+// Sends every pending delivery that is due, one at a time.
+const processDeliveries = async () => {
+  if (processing) {
+    return;
+  }
+  processing = true;
+  try {
+    const now = Date.now();
+    const due = deliveries.filter(delivery =>
+      delivery.status === 'pending' && new Date(delivery.nextAttemptAt).getTime() <= now);
+    for (const delivery of due) {
+      await attemptDelivery(delivery);
+    }
+  } catch (error) {
+    logger.error('Webhook delivery run failed', { error: error.message });
+  } finally {
+    processing = false;
+  }
+};
+
+/**
+ * Queues a delivery of the event to every webhook subscribed to it. data is the body the matching
+ * route answers with (the upload response, the delete result, ...). Never throws: a webhook problem
+ * must not fail the operation that triggered it.
+ */
+const emitEvent = (type, data) => {
+  try {
+    const subscribed = [...webhooks.values()].filter(webhook => webhook.events.includes(type));
+    if (subscribed.length === 0) {
+      return;
+    }
+
+    const event = {
+      id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+      type,
+      createdAt: new Date().toISOString(),
+      data
+    };
+    for (const webhook of subscribed) {
+      deliveries.push({
+        id: `dlv_${crypto.randomBytes(12).toString('hex')}`,
+        webhookId: webhook.id,
+        event,
+        status: 'pending',
+        attempts: [],
+        createdAt: event.createdAt,
+        nextAttemptAt: event.createdAt,
+        deliveredAt: null
+      });
+    }
+    persistDeliveries();
+    setImmediate(processDeliveries);
+  } catch (error) {
+    logger.error('Error queueing webhook event', { type, error: error.message });
+  }
+};
+
+const startWebhookWorker = () => {
+  const interval = setInterval(processDeliveries, environment.webhooks.pollIntervalSeconds * 1000);
+  interval.unref();
+  // Deliveries left pending by the previous run are due again right away.
+  setImmediate(processDeliveries);
+  return interval;
+};
+
+module.exports = {
+  EVENTS,
+  createWebhook,
+  listWebhooks,
+  deleteWebhook,
+  listDeliveries,
+  emitEvent,
+  startWebhookWorker
+};
@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const { Transform, pipeline } = require('stream');
+const { StorageBackend, assertValidKey, notFoundError } = require('./storageBackend');
+const { readJsonFile, writeJsonFile } = require('../utils/jsonFile');
+const {
+  ALGORITHM,
+  KEY_LENGTH,
+  wrapKey,
+  unwrapKey,
+  storedRange,
+  createEncryptStream,
+  createDecryptStream
+} = require('../utils/encryption');
+
+/**
+ * Envelope encryption in front of another storage backend. Every object written while a master key
+ * is configured is encrypted with AES-256-GCM under a data key of its own; the data key, wrapped by the
+ * master key, is kept in a JSON index together with the plaintext size. Objects without an entry in
+ * the index (written before encryption was enabled) are passed through as they are.
+ *
+ * The envelope is written, marked pending, before the object itself and confirmed afterwards, so
+ * ciphertext is never left without its key. An object whose write was not confirmed (the process
+ * stopped midway) reads as missing instead of being passed through as plaintext.
+ *
+ * Master keys are { key, keyId }; previousKeys still open data keys they wrapped until rewrapKeys()
+ * moves those under the current key, which touches the index only, never the object bodies.
+ */
+class EncryptedStorage extends StorageBackend {
+  constructor(backend, { masterKey = null, previousKeys = [], indexFile }) {
+    super();
+    this.backend = backend;
+    this.masterKey = masterKey;
+    this.keys = new Map([masterKey, ...previousKeys].filter(Boolean).map(entry => [entry.keyId, entry.key]));
+    this.indexFile = indexFile;
+    this.envelopes = new Map(Object.entries(readJsonFile(indexFile, {})));
+  }
+
+  persist() {
+    writeJsonFile(this.indexFile, Object.fromEntries(this.envelopes));
+  }
+
+  dataKeyOf(key, envelope) {
+    const masterKey = this.keys.get(envelope.keyId);
+    if (!masterKey) {
+      throw new Error(`${key} is encrypted with master key ${envelope.keyId}, which is not configured`);
+    }
+    return unwrapKey(masterKey, envelope.wrappedKey, key);
+  }
+
+  async put(key, stream, options = {}) {
+    if (!this.masterKey) {
+      const result = await this.backend.put(key, stream, options);
+      if (this.envelopes.delete(key)) {
+        this.persist();
+      }
+      return result;
+    }
+
+    assertValidKey(key);
+    const dataKey = crypto.randomBytes(KEY_LENGTH);
+    let size = 0;
+    const counter = new Transform({
+      transform(chunk, encoding, cb) {
+        size += chunk.length;
+        cb(null, chunk);
+      }
+    });
+    const previous = this.envelopes.get(key);
+    const envelope = {
+      algorithm: ALGORITHM,
+      keyId: this.masterKey.keyId,
+      wrappedKey: wrapKey(this.masterKey.key, dataKey, key)
+    };
+    this.envelopes.set(key, { ...envelope, size: null, pending: true });
+    try {
+      this.persist();
+    } catch (error) {
+      this.restoreEnvelope(key, previous);
+      throw error;
+    }
+
+    const encrypt = createEncryptStream(dataKey);
+    // A failing source errors encrypt, and with it the put; a failing put stops reading the source.
+    pipeline(stream, counter, encrypt, () => {});
+    try {
+      await this.backend.put(key, encrypt, options);
+    } catch (error) {
+      encrypt.destroy();
+      // Backends replace objects atomically, so a failed put leaves the previous object, if any.
+      this.restoreEnvelope(key, previous);
+      this.persist();
+      throw error;
+    }
+
+    this.envelopes.set(key, { ...envelope, size });
+    this.persist();
+    return { size };
+  }
+
+  restoreEnvelope(key, previous) {
+    if (previous) {
+      this.envelopes.set(key, previous);
+    } else {
+      this.envelopes.delete(key);
+    }
+  }
+
+  async get(key, range = {}) {
+    const envelope = this.envelopes.get(key);
+    if (!envelope) {
+      return this.backend.get(key, range);
+    }
+    if (envelope.pending) {
+      throw notFoundError(key);
+    }
+
+    const dataKey = this.dataKeyOf(key, envelope);
+    const segments = storedRange(envelope.size, range);
+    const stored = await this.backend.get(key, segments.stored);
+    const decrypt = createDecryptStream(dataKey, envelope.size, segments);
+    // Errors reach the reader through decrypt; closing it early closes the stored stream as well.
+    pipeline(stored, decrypt, () => {});
+    return decrypt;
+  }
+
+  async stat(key) {
+    const stats = await this.backend.stat(key);
+    const envelope = this.envelopes.get(key);
+    if (stats && envelope && envelope.pending) {
+      return null;
+    }
+    return stats && envelope ? { ...stats, size: envelope.size } : stats;
+  }
+
+  async delete(key) {
+    const deleted = await this.backend.delete(key);
+    if (this.envelopes.delete(key)) {
+      this.persist();
+    }
+    return deleted;
+  }
+
+  async list(prefix = '') {
+    const objects = await this.backend.list(prefix);
+    return objects
+      .filter(object => !(this.envelopes.get(object.key) || {}).pending)
+      .map(object => (this.envelopes.has(object.key) ? { ...object, size: this.envelopes.get(object.key).size } : object));
+  }
+
+  async usage() {
+    return this.backend.usage();
+  }
+
+  /**
+   * Wraps every data key that is not under the current master key again with it. Resolves to
+   * { keyId, rewrapped, unchanged, failed: [{ key, error }] }; keys whose master key is not configured fail.
+   */
+  async rewrapKeys() {
+    if (!this.masterKey) {
+      throw new Error('No master key is configured');
+    }
+
+    const result = { keyId: this.masterKey.keyId, rewrapped: 0, unchanged: 0, failed: [] };
+    for (const [key, envelope] of this.envelopes) {
+      if (envelope.keyId === this.masterKey.keyId) {
+        result.unchanged += 1;
+        continue;
+      }
+      try {
+        const dataKey = this.dataKeyOf(key, envelope);
+        this.envelopes.set(key, { ...envelope, keyId: this.masterKey.keyId, wrappedKey: wrapKey(this.masterKey.key, dataKey, key) });
+        result.rewrapped += 1;
+      } catch (error) {
+        result.failed.push({ key, error: error.message });
+      }
+    }
+
+    if (result.rewrapped > 0) {
+      this.persist();
+    }
+    return result;
+  }
+
+  // Encrypted objects per master key id, which of those ids have no configured key, and writes never confirmed.
+  getStatus() {
+    const objectsByKeyId = {};
+    let pendingObjects = 0;
+    for (const envelope of this.envelopes.values()) {
+      objectsByKeyId[envelope.keyId] = (objectsByKeyId[envelope.keyId] || 0) + 1;
+      pendingObjects += envelope.pending ? 1 : 0;
+    }
+    return {
+      enabled: Boolean(this.masterKey),
+      algorithm: ALGORITHM,
+      keyId: this.masterKey ? this.masterKey.keyId : null,
+      previousKeyIds: [...this.keys.keys()].filter(keyId => !this.masterKey || keyId !== this.masterKey.keyId),
+      encryptedObjects: this.envelopes.size,
+      pendingObjects,
+      objectsByKeyId,
+      missingKeyIds: Object.keys(objectsByKeyId).filter(keyId => !this.keys.has(keyId))
+    };
+  }
+}
+
+module.exports = EncryptedStorage;
@@ -0,0 +1,45 @@
+const path = require('path');
+const environment = require('../config/environment');
+const { StorageBackend, isValidKey } = require('./storageBackend');
+const LocalStorage = require('./localStorage');
+const MemoryStorage = require('./memoryStorage');
+const S3Storage = require('./s3Storage');
+const EncryptedStorage = require('./encryptedStorage');
+const { decodeMasterKey, keyIdOf } = require('../utils/encryption');
+
+const createStorage = (type) => {
+  if (type === 'local') {
+    return new LocalStorage(path.join(__dirname, '..', environment.volumePath));
+  }
+  if (type === 'memory') {
+    return new MemoryStorage();
+  }
+  if (type === 's3') {
+    return new S3Storage(environment.s3);
+  }
+  throw new Error(`Unknown storage backend: ${type}`);
+};
+
+const masterKey = (value) => {
+  const key = decodeMasterKey(value);
+  return { key, keyId: keyIdOf(key) };
+};
+
+// Always in front of the backend, so objects encrypted earlier stay readable (or fail loudly) even
+// when no master key is configured any more.
+const createEncryptedStorage = (backend) => new EncryptedStorage(backend, {
+  masterKey: environment.encryption.masterKey ? masterKey(environment.encryption.masterKey) : null,
+  previousKeys: environment.encryption.previousKeys.map(masterKey),
+  indexFile: path.join(environment.dataPath, 'encryption-keys.json')
+});
+
+module.exports = {
+  storage: createEncryptedStorage(createStorage(environment.storageBackend)),
+  createStorage,
+  isValidKey,
+  StorageBackend,
+  LocalStorage,
+  MemoryStorage,
+  S3Storage,
+  EncryptedStorage
+};
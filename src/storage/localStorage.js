@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { StorageBackend, assertValidKey } = require('./storageBackend');
+
+/**
+ * Stores objects as plain files below a root directory.
+ */
+class LocalStorage extends StorageBackend {
+  constructor(root) {
+    super();
+    this.root = path.resolve(root);
+  }
+
+  resolve(key) {
+    assertValidKey(key);
+    return path.join(this.root, ...key.split('/'));
+  }
+
+  async put(key, stream) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    // Write next to the target and rename, so readers never see a partially written file.
+    const tmpPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${crypto.randomBytes(6).toString('hex')}.part`);
+    try {
+      await pipeline(stream, fs.createWriteStream(tmpPath));
+      await fs.promises.rename(tmpPath, filePath);
+    } catch (error) {
+      await fs.promises.rm(tmpPath, { force: true });
+      throw error;
+    }
+
+    const stats = await fs.promises.stat(filePath);
+    return { size: stats.size };
+  }
+
+  async get(key, range = {}) {
+    const filePath = this.resolve(key);
+    // Opening the file first turns a missing object into a rejected promise instead of a stream error.
+    const handle = await fs.promises.open(filePath, 'r');
+    return handle.createReadStream({ start: range.start, end: range.end });
+  }
+
+  async stat(key) {
+    try {
+      const stats = await fs.promises.stat(this.resolve(key));
+      return stats.isFile() ? { size: stats.size, modifiedAt: stats.mtime } : null;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    const filePath = this.resolve(key);
+    try {
+      await fs.promises.unlink(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+    await this.removeEmptyParents(path.dirname(filePath));
+    return true;
+  }
+
+  // Nested keys create directories; drop the ones left empty so the volume does not fill with them.
+  async removeEmptyParents(dir) {
+    while (dir.startsWith(this.root + path.sep)) {
+      try {
+        await fs.promises.rmdir(dir);
+      } catch (error) {
+        return;
+      }
+      dir = path.dirname(dir);
+    }
+  }
+
+  async list(prefix = '') {
+    const objects = [];
+
+    const walk = async (dir, keyPrefix) => {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return;
+        }
+        throw error;
+      }
+
+      for (const entry of entries) {
+        if (entry.name.startsWith('.')) {
+          continue;
+        }
+        const key = `${keyPrefix}${entry.name}`;
+        if (entry.isDirectory()) {
+          // Only directories that can hold matching keys are entered.
+          if (`${key}/`.startsWith(prefix) || prefix.startsWith(`${key}/`)) {
+            await walk(path.join(dir, entry.name), `${key}/`);
+          }
+        } else if (entry.isFile() && key.startsWith(prefix)) {
+          const stats = await fs.promises.stat(path.join(dir, entry.name));
+          objects.push({ key, size: stats.size, modifiedAt: stats.mtime });
+        }
+      }
+    };
+
+    // The walk starts at the directory of the prefix ("variants/a.jpg/" starts in variants/a.jpg).
+    const start = prefix.slice(0, prefix.lastIndexOf('/') + 1);
+    await walk(start ? this.resolve(start.slice(0, -1)) : this.root, start);
+    return objects;
+  }
+
+  async usage() {
+    await fs.promises.mkdir(this.root, { recursive: true });
+    const stats = await fs.promises.statfs(this.root);
+    return { size: stats.blocks * stats.bsize, free: stats.bavail * stats.bsize };
+  }
+}
+
+module.exports = LocalStorage;
@@ -0,0 +1,50 @@
+const { Readable } = require('stream');
+const { StorageBackend, assertValidKey, notFoundError } = require('./storageBackend');
+
+/**
+ * Keeps objects in memory. Intended for tests and local experiments.
+ */
+class MemoryStorage extends StorageBackend {
+  constructor() {
+    super();
+    this.objects = new Map();
+  }
+
+  async put(key, stream) {
+    assertValidKey(key);
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(Buffer.from(chunk));
+    }
+    const data = Buffer.concat(chunks);
+    this.objects.set(key, { data, modifiedAt: new Date() });
+    return { size: data.length };
+  }
+
+  async get(key, range = {}) {
+    const object = this.objects.get(key);
+    if (!object) {
+      throw notFoundError(key);
+    }
+    const start = range.start || 0;
+    const end = range.end === undefined ? object.data.length - 1 : range.end;
+    return Readable.from([object.data.subarray(start, end + 1)]);
+  }
+
+  async stat(key) {
+    const object = this.objects.get(key);
+    return object ? { size: object.data.length, modifiedAt: object.modifiedAt } : null;
+  }
+
+  async delete(key) {
+    return this.objects.delete(key);
+  }
+
+  async list(prefix = '') {
+    return [...this.objects.entries()]
+      .filter(([key]) => key.startsWith(prefix))
+      .map(([key, object]) => ({ key, size: object.data.length, modifiedAt: object.modifiedAt }));
+  }
+}
+
+module.exports = MemoryStorage;
@@ -0,0 +1,59 @@
+const logger = require('../config/logger');
+const { releaseContent } = require('../services/contentStore');
+const { storeUpload } = require('../services/uploadService');
+
+const REJECTIONS = {
+  FILE_TYPE_MISMATCH: { status: 400, error: 'File type mismatch' },
+  LIMIT_FILE_SIZE: { status: 413, error: 'File too large' }
+};
+
+/**
+ * Multer storage engine that streams each uploaded file into the deduplicating content store.
+ * The leading bytes are checked against the declared MIME type before anything is stored.
+ * generateKey(req, file) decides the logical filename the upload is known by.
+ *
+ * Options:
+ * - maxFileSize(file): per-file limit enforced while streaming, such as the limit of the file's category
+ * - collectRejections: instead of failing the whole request, a rejected file is reported as
+ *   { rejection: { status, error, message } } and the request goes on with the next file. A file cut off
+ *   by multer's fileSize limit is not kept, and when multer aborts the request the files stored before
+ *   are left for the caller to complete or release
+ */
+const createMulterStorage = (generateKey, { maxFileSize, collectRejections = false } = {}) => ({
+  _handleFile(req, file, cb) {
+    storeUpload(file.stream, {
+      mimetype: file.mimetype,
+      originalname: file.originalname,
+      maxFileSize: maxFileSize && maxFileSize(file),
+      drainRejected: collectRejections,
+      logMeta: { ip: req.ip }
+    })
+      .then(async content => {
+        if (collectRejections && file.stream.truncated) {
+          await releaseContent(content.sha256);
+          return cb(null, {});
+        }
+        cb(null, { filename: generateKey(req, file), ...content });
+      })
+      .catch(error => {
+        if (!collectRejections || !REJECTIONS[error.code]) {
+          return cb(error);
+        }
+        cb(null, { rejection: { ...REJECTIONS[error.code], message: error.message } });
+      });
+  },
+
+  _removeFile(req, file, cb) {
+    if (collectRejections || !file.sha256) {
+      return cb(null);
+    }
+    releaseContent(file.sha256)
+      .then(() => cb(null))
+      .catch(error => {
+        logger.error('Error removing aborted upload', { error: error.message, filename: file.filename });
+        cb(error);
+      });
+  }
+});
+
+module.exports = createMulterStorage;
@@ -0,0 +1,218 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { StorageBackend, assertValidKey, notFoundError } = require('./storageBackend');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding as required by Signature Version 4.
+const encodeRfc3986 = (value) =>
+  encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const decodeXml = (value) => value
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+const xmlValue = (xml, tag) => {
+  const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+  return match ? decodeXml(match[1]) : undefined;
+};
+
+const readBody = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+/**
+ * Talks to any S3-compatible service (AWS S3, MinIO, ...) over plain HTTP(S),
+ * signing requests with AWS Signature Version 4.
+ */
+class S3Storage extends StorageBackend {
+  constructor({ endpoint, region = 'us-east-1', bucket, accessKeyId, secretAccessKey, forcePathStyle = true }) {
+    super();
+    if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+      throw new Error('S3 storage requires an endpoint, a bucket and credentials');
+    }
+    this.endpoint = new URL(endpoint);
+    this.region = region;
+    this.bucket = bucket;
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.forcePathStyle = forcePathStyle;
+  }
+
+  objectUrl(key, query = {}) {
+    const encodedKey = key ? key.split('/').map(encodeRfc3986).join('/') : '';
+    const url = new URL(this.endpoint.href);
+    if (this.forcePathStyle) {
+      url.pathname = `${url.pathname.replace(/\/$/, '')}/${this.bucket}/${encodedKey}`;
+    } else {
+      url.hostname = `${this.bucket}.${url.hostname}`;
+      url.pathname = `${url.pathname.replace(/\/$/, '')}/${encodedKey}`;
+    }
+    url.search = Object.keys(query)
+      .sort()
+      .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+      .join('&');
+    return url;
+  }
+
+  signHeaders(method, url, headers) {
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const date = amzDate.slice(0, 8);
+    const scope = `${date}/${this.region}/s3/aws4_request`;
+
+    const signed = {
+      ...headers,
+      host: url.host,
+      'x-amz-content-sha256': 'UNSIGNED-PAYLOAD',
+      'x-amz-date': amzDate
+    };
+    const names = Object.keys(signed).map(name => name.toLowerCase()).sort();
+    const lowerCased = Object.fromEntries(Object.entries(signed).map(([name, value]) => [name.toLowerCase(), value]));
+    const canonicalHeaders = names.map(name => `${name}:${String(lowerCased[name]).trim()}\n`).join('');
+    const signedHeaders = names.join(';');
+
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      url.search.slice(1),
+      canonicalHeaders,
+      signedHeaders,
+      'UNSIGNED-PAYLOAD'
+    ].join('\n');
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+    const signingKey = ['s3', 'aws4_request'].reduce(
+      (key, part) => hmac(key, part),
+      hmac(hmac(`AWS4${this.secretAccessKey}`, date), this.region)
+    );
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    return {
+      ...lowerCased,
+      authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+    };
+  }
+
+  request(method, key, { query, headers = {}, body } = {}) {
+    const url = this.objectUrl(key, query);
+    const client = url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const req = client.request(url, { method, headers: this.signHeaders(method, url, headers) }, resolve);
+      req.on('error', reject);
+      if (body) {
+        body.on('error', error => req.destroy(error));
+        body.pipe(req);
+      } else {
+        req.end();
+      }
+    });
+  }
+
+  async assertOk(response, key) {
+    if (response.statusCode === 404) {
+      response.resume();
+      throw notFoundError(key);
+    }
+    if (response.statusCode >= 300) {
+      const body = await readBody(response);
+      throw new Error(`S3 request failed with status ${response.statusCode}: ${xmlValue(body, 'Message') || body}`);
+    }
+    return response;
+  }
+
+  async put(key, stream, { contentType } = {}) {
+    assertValidKey(key);
+
+    // S3 needs the content length up front, so the stream is spooled to a temporary file first.
+    const tmpPath = path.join(os.tmpdir(), `s3-upload-${crypto.randomBytes(8).toString('hex')}`);
+    try {
+      await pipeline(stream, fs.createWriteStream(tmpPath));
+      const { size } = await fs.promises.stat(tmpPath);
+      const headers = { 'content-length': size };
+      if (contentType) {
+        headers['content-type'] = contentType;
+      }
+      const response = await this.request('PUT', key, { headers, body: fs.createReadStream(tmpPath) });
+      await this.assertOk(response, key);
+      response.resume();
+      return { size };
+    } finally {
+      await fs.promises.rm(tmpPath, { force: true });
+    }
+  }
+
+  async get(key, range = {}) {
+    assertValidKey(key);
+    const headers = {};
+    if (range.start !== undefined || range.end !== undefined) {
+      headers.range = `bytes=${range.start || 0}-${range.end === undefined ? '' : range.end}`;
+    }
+    return this.assertOk(await this.request('GET', key, { headers }), key);
+  }
+
+  async stat(key) {
+    assertValidKey(key);
+    const response = await this.request('HEAD', key);
+    response.resume();
+    if (response.statusCode === 404) {
+      return null;
+    }
+    await this.assertOk(response, key);
+    return {
+      size: parseInt(response.headers['content-length'], 10),
+      modifiedAt: new Date(response.headers['last-modified'])
+    };
+  }
+
+  async delete(key) {
+    // S3 reports success for missing keys, so look the object up first to report whether anything was removed.
+    if (!(await this.stat(key))) {
+      return false;
+    }
+    const response = await this.request('DELETE', key);
+    await this.assertOk(response, key);
+    response.resume();
+    return true;
+  }
+
+  async list(prefix = '') {
+    const objects = [];
+    let continuationToken;
+
+    do {
+      const query = { 'list-type': '2', prefix };
+      if (continuationToken) {
+        query['continuation-token'] = continuationToken;
+      }
+      const response = await this.assertOk(await this.request('GET', '', { query }), '');
+      const body = await readBody(response);
+
+      for (const [, contents] of body.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+        objects.push({
+          key: xmlValue(contents, 'Key'),
+          size: parseInt(xmlValue(contents, 'Size'), 10),
+          modifiedAt: new Date(xmlValue(contents, 'LastModified'))
+        });
+      }
+      continuationToken = xmlValue(body, 'IsTruncated') === 'true' ? xmlValue(body, 'NextContinuationToken') : undefined;
+    } while (continuationToken);
+
+    return objects;
+  }
+}
+
+module.exports = S3Storage;
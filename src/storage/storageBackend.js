@@ -0,0 +1,64 @@
+const KEY_SEGMENT = /^[A-Za-z0-9_-][A-Za-z0-9._-]*$/;
+
+// Keys are relative, slash-separated names. Segments may not be empty, hidden or "..".
+const isValidKey = (key) =>
+  typeof key === 'string' && key.length <= 512 && key.split('/').every(segment => KEY_SEGMENT.test(segment));
+
+const assertValidKey = (key) => {
+  if (!isValidKey(key)) {
+    const error = new Error(`Invalid storage key: ${key}`);
+    error.name = 'ValidationError';
+    throw error;
+  }
+};
+
+const notFoundError = (key) => {
+  const error = new Error(`Object not found: ${key}`);
+  error.code = 'ENOENT';
+  return error;
+};
+
+/**
+ * Interface implemented by every storage driver. All methods return promises.
+ *
+ * - put(key, stream, { contentType }) stores a readable stream and resolves to { size }
+ * - get(key, { start, end }) resolves to a readable stream, optionally of an inclusive byte range;
+ *   rejects with an ENOENT error when the object does not exist
+ * - stat(key) resolves to { size, modifiedAt } or null when the object does not exist
+ * - delete(key) resolves to true when an object was removed
+ * - list(prefix) resolves to [{ key, size, modifiedAt }] for every key starting with prefix
+ * - usage() resolves to { size, free } in bytes for the volume holding the objects, or null when
+ *   the backend has no volume of its own (optional, null by default)
+ */
+class StorageBackend {
+  async put() {
+    throw new Error(`${this.constructor.name} does not implement put()`);
+  }
+
+  async get() {
+    throw new Error(`${this.constructor.name} does not implement get()`);
+  }
+
+  async stat() {
+    throw new Error(`${this.constructor.name} does not implement stat()`);
+  }
+
+  async delete() {
+    throw new Error(`${this.constructor.name} does not implement delete()`);
+  }
+
+  async list() {
+    throw new Error(`${this.constructor.name} does not implement list()`);
+  }
+
+  async usage() {
+    return null;
+  }
+}
+
+module.exports = {
+  StorageBackend,
+  isValidKey,
+  assertValidKey,
+  notFoundError
+};
@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const { Transform } = require('stream');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// Plaintext bytes per encrypted segment. Segments are authenticated one by one, so a byte range
+// only needs the segments it overlaps instead of the whole object.
+const SEGMENT_SIZE = 64 * 1024;
+const STORED_SEGMENT_SIZE = SEGMENT_SIZE + TAG_LENGTH;
+
+// Short, stable identifier of a master key, recorded next to every data key it wraps.
+const keyIdOf = (masterKey) => crypto.createHash('sha256').update(masterKey).digest('hex').slice(0, 16);
+
+// Master keys are configured as base64; null when the value is not exactly 32 bytes.
+const decodeMasterKey = (value) => {
+  const key = Buffer.from(value, 'base64');
+  return key.length === KEY_LENGTH && key.toString('base64') === value.replace(/\s/g, '') ? key : null;
+};
+
+/**
+ * Encrypts a data key with a master key. The result (IV, ciphertext and tag, base64) is bound to
+ * context, the storage key of the object, so a wrapped key copied to another object does not open it.
+ */
+const wrapKey = (masterKey, dataKey, context) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, masterKey, iv);
+  cipher.setAAD(Buffer.from(context));
+  const encrypted = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+  return Buffer.concat([iv, encrypted, cipher.getAuthTag()]).toString('base64');
+};
+
+const unwrapKey = (masterKey, wrappedKey, context) => {
+  const data = Buffer.from(wrappedKey, 'base64');
+  const decipher = crypto.createDecipheriv(ALGORITHM, masterKey, data.subarray(0, IV_LENGTH));
+  decipher.setAAD(Buffer.from(context));
+  decipher.setAuthTag(data.subarray(data.length - TAG_LENGTH));
+  return Buffer.concat([decipher.update(data.subarray(IV_LENGTH, data.length - TAG_LENGTH)), decipher.final()]);
+};
+
+// Every object has its own data key, so the segment index alone keeps IVs unique.
+const segmentIv = (index) => {
+  const iv = Buffer.alloc(IV_LENGTH);
+  iv.writeUInt32BE(index, IV_LENGTH - 4);
+  return iv;
+};
+
+// The last segment is marked in the authenticated data, so a truncated object fails to decrypt.
+const segmentAad = (final) => Buffer.from([final ? 1 : 0]);
+
+const encryptSegment = (dataKey, index, plaintext, final) => {
+  const cipher = crypto.createCipheriv(ALGORITHM, dataKey, segmentIv(index));
+  cipher.setAAD(segmentAad(final));
+  return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+};
+
+const decryptSegment = (dataKey, index, stored, final) => {
+  const decipher = crypto.createDecipheriv(ALGORITHM, dataKey, segmentIv(index));
+  decipher.setAAD(segmentAad(final));
+  decipher.setAuthTag(stored.subarray(stored.length - TAG_LENGTH));
+  try {
+    return Buffer.concat([decipher.update(stored.subarray(0, stored.length - TAG_LENGTH)), decipher.final()]);
+  } catch (error) {
+    throw new Error(`Encrypted segment ${index} failed authentication`);
+  }
+};
+
+// Number of segments of a plaintext of this size; an empty object still has one, holding only a tag.
+const segmentCount = (size) => Math.max(1, Math.ceil(size / SEGMENT_SIZE));
+
+const encryptedSize = (size) => size + segmentCount(size) * TAG_LENGTH;
+
+/**
+ * Transform stream that encrypts a plaintext into segments. A full segment is only written once more
+ * data follows it, since whether it is the last one is part of what gets authenticated.
+ */
+const createEncryptStream = (dataKey) => {
+  let buffered = Buffer.alloc(0);
+  let index = 0;
+
+  return new Transform({
+    transform(chunk, encoding, cb) {
+      buffered = Buffer.concat([buffered, chunk]);
+      const segments = [];
+      while (buffered.length > SEGMENT_SIZE) {
+        segments.push(encryptSegment(dataKey, index, buffered.subarray(0, SEGMENT_SIZE), false));
+        buffered = buffered.subarray(SEGMENT_SIZE);
+        index += 1;
+      }
+      cb(null, segments.length > 0 ? Buffer.concat(segments) : undefined);
+    },
+    flush(cb) {
+      cb(null, encryptSegment(dataKey, index, buffered, true));
+    }
+  });
+};
+
+/**
+ * Maps an inclusive plaintext range of an object of the given size to the stored segments holding
+ * it. Resolves to { stored: { start, end }, firstSegment, skip, length }, where skip is the number of
+ * decrypted bytes to drop before the range begins.
+ */
+const storedRange = (size, { start = 0, end = size - 1 } = {}) => {
+  if (size === 0) {
+    return { stored: { start: 0, end: TAG_LENGTH - 1 }, firstSegment: 0, skip: 0, length: 0 };
+  }
+  const firstSegment = Math.floor(start / SEGMENT_SIZE);
+  const lastSegment = Math.floor(end / SEGMENT_SIZE);
+  return {
+    stored: {
+      start: firstSegment * STORED_SEGMENT_SIZE,
+      end: Math.min((lastSegment + 1) * STORED_SEGMENT_SIZE, encryptedSize(size)) - 1
+    },
+    firstSegment,
+    skip: start - firstSegment * SEGMENT_SIZE,
+    length: end - start + 1
+  };
+};
+
+/**
+ * Transform stream that decrypts the stored segments selected by storedRange and emits exactly the
+ * requested plaintext bytes. A segment that fails authentication errors the stream.
+ */
+const createDecryptStream = (dataKey, size, { firstSegment, skip, length }) => {
+  const lastIndex = segmentCount(size) - 1;
+  let buffered = Buffer.alloc(0);
+  let index = firstSegment;
+  let toSkip = skip;
+  let remaining = length;
+
+  const take = (plaintext) => {
+    const part = plaintext.subarray(toSkip, toSkip + remaining);
+    toSkip = Math.max(0, toSkip - plaintext.length);
+    remaining -= part.length;
+    return part;
+  };
+
+  return new Transform({
+    transform(chunk, encoding, cb) {
+      buffered = Buffer.concat([buffered, chunk]);
+      const parts = [];
+      try {
+        while (buffered.length >= STORED_SEGMENT_SIZE && index < lastIndex) {
+          parts.push(take(decryptSegment(dataKey, index, buffered.subarray(0, STORED_SEGMENT_SIZE), false)));
+          buffered = buffered.subarray(STORED_SEGMENT_SIZE);
+          index += 1;
+        }
+      } catch (error) {
+        cb(error);
+        return;
+      }
+      cb(null, parts.length > 0 ? Buffer.concat(parts) : undefined);
+    },
+    flush(cb) {
+      if (buffered.length === 0) {
+        cb(remaining === 0 ? null : new Error('Encrypted object is truncated'));
+        return;
+      }
+      try {
+        cb(null, take(decryptSegment(dataKey, index, buffered, index === lastIndex)));
+      } catch (error) {
+        cb(error);
+      }
+    }
+  });
+};
+
+module.exports = {
+  ALGORITHM,
+  KEY_LENGTH,
+  SEGMENT_SIZE,
+  keyIdOf,
+  decodeMasterKey,
+  wrapKey,
+  unwrapKey,
+  encryptedSize,
+  storedRange,
+  createEncryptStream,
+  createDecryptStream
+};
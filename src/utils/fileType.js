@@ -0,0 +1,179 @@
+const { Readable } = require('stream');
+
+// Number of leading bytes inspected to recognize a file.
+const SNIFF_LENGTH = 16 * 1024;
+
+const startsWith = (head, bytes, offset = 0) =>
+  head.length >= offset + bytes.length && bytes.every((byte, index) => head[offset + index] === byte);
+
+const ascii = (head, start, end) => head.subarray(start, end).toString('latin1');
+
+const MARKUP_PATTERN = /^\s*(<!doctype\s+html|<html|<head|<body|<script|<svg|<\?xml|<iframe|<object|<embed)/i;
+
+// The head may stop in the middle of a multi-byte character, so up to 3 trailing bytes are allowed to be cut.
+const isUtf8 = (head) => {
+  const decoder = new TextDecoder('utf-8', { fatal: true });
+  for (let cut = 0; cut <= Math.min(3, head.length); cut += 1) {
+    try {
+      decoder.decode(head.subarray(0, head.length - cut));
+      return true;
+    } catch (error) {
+      // try again without the last byte
+    }
+  }
+  return false;
+};
+
+const isPlainText = (head) => !head.includes(0) && isUtf8(head) && !MARKUP_PATTERN.test(head.toString('utf8'));
+
+const isZipWith = (head, marker) => startsWith(head, [0x50, 0x4B, 0x03, 0x04]) && head.includes(marker);
+
+// Major brands of the ftyp box that MP4 video and M4A audio files are written with.
+const MP4_BRANDS = new Set([
+  'isom', 'iso2', 'iso3', 'iso4', 'iso5', 'iso6', 'mp41', 'mp42', 'avc1', 'dash', 'MSNV',
+  'M4A ', 'M4B ', 'M4P ', 'M4V '
+]);
+
+// Brands of HEIF images, which share the container with MP4.
+const HEIF_BRANDS = new Set(['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'mif1', 'msf1']);
+
+const ftypBrand = (head) => (ascii(head, 4, 8) === 'ftyp' ? ascii(head, 8, 12) : null);
+
+// HEIC/HEIF images and QuickTime movies use the same box structure, but not the MP4 brands.
+const isIsoMedia = (head) => MP4_BRANDS.has(ftypBrand(head));
+
+// MP3 files start with an ID3 tag or directly with an MPEG audio frame header.
+const isMpegAudio = (head) => ascii(head, 0, 3) === 'ID3' || (
+  head.length >= 3 &&
+  head[0] === 0xFF &&
+  (head[1] & 0xE0) === 0xE0 &&
+  ((head[1] >> 3) & 3) !== 1 &&
+  ((head[1] >> 1) & 3) !== 0 &&
+  (head[2] >> 4) !== 15 &&
+  ((head[2] >> 2) & 3) !== 3
+);
+
+/**
+ * Signature checks for every accepted MIME type, with the extension stored files of that type get
+ * and the category (image, audio, video, document, spreadsheet) used for per-category policies.
+ */
+const FILE_TYPES = {
+  'image/jpeg': { category: 'image', ext: '.jpg', matches: head => startsWith(head, [0xFF, 0xD8, 0xFF]) },
+  'image/png': { category: 'image', ext: '.png', matches: head => startsWith(head, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]) },
+  'image/gif': { category: 'image', ext: '.gif', matches: head => ['GIF87a', 'GIF89a'].includes(ascii(head, 0, 6)) },
+  'image/webp': { category: 'image', ext: '.webp', matches: head => ascii(head, 0, 4) === 'RIFF' && ascii(head, 8, 12) === 'WEBP' },
+  'application/pdf': { category: 'document', ext: '.pdf', matches: head => ascii(head, 0, 5) === '%PDF-' },
+  'audio/ogg': { category: 'audio', ext: '.ogg', matches: head => ascii(head, 0, 4) === 'OggS' },
+  'audio/mpeg': { category: 'audio', ext: '.mp3', matches: isMpegAudio },
+  'audio/mp4': { category: 'audio', ext: '.m4a', matches: isIsoMedia },
+  'video/mp4': { category: 'video', ext: '.mp4', matches: isIsoMedia },
+  'application/vnd.ms-excel': {
+    category: 'spreadsheet',
+    ext: '.xls',
+    matches: head => startsWith(head, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1])
+  },
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': {
+    category: 'spreadsheet',
+    ext: '.xlsx',
+    matches: head => isZipWith(head, 'xl/')
+  },
+  'application/json': { category: 'document', ext: '.json', matches: head => isPlainText(head) && /^\s*[[{]/.test(head.toString('utf8')) },
+  'text/csv': { category: 'document', ext: '.csv', matches: isPlainText },
+  'text/plain': { category: 'document', ext: '.txt', matches: isPlainText }
+};
+
+// Best guess of what the content really is, used to explain rejections.
+const detectMimeType = (head) => {
+  const brand = ftypBrand(head);
+  if (isIsoMedia(head)) {
+    return ['M4A ', 'M4B '].includes(brand) ? 'audio/mp4' : 'video/mp4';
+  }
+  if (brand === 'qt  ') {
+    return 'video/quicktime';
+  }
+  if (HEIF_BRANDS.has(brand)) {
+    return ['mif1', 'msf1'].includes(brand) ? 'image/heif' : 'image/heic';
+  }
+  const match = Object.keys(FILE_TYPES).find(type => FILE_TYPES[type].matches(head));
+  if (match) {
+    return match;
+  }
+  if (/^\s*<svg|^\s*<\?xml[\s\S]*<svg/i.test(head.toString('utf8'))) {
+    return 'image/svg+xml';
+  }
+  if (MARKUP_PATTERN.test(head.toString('utf8'))) {
+    return 'text/html';
+  }
+  return 'application/octet-stream';
+};
+
+/**
+ * Returns null when the leading bytes match the declared type, or an error describing the mismatch.
+ */
+const checkFileType = (declaredType, head) => {
+  const type = FILE_TYPES[declaredType];
+  if (type && type.matches(head)) {
+    return null;
+  }
+
+  const detectedType = detectMimeType(head);
+  const error = new Error(`File content (${detectedType}) does not match the declared type ${declaredType}`);
+  error.code = 'FILE_TYPE_MISMATCH';
+  error.declaredType = declaredType;
+  error.detectedType = detectedType;
+  return error;
+};
+
+const extensionFor = (mimetype) => (FILE_TYPES[mimetype] ? FILE_TYPES[mimetype].ext : '');
+
+const CATEGORIES = [...new Set(Object.values(FILE_TYPES).map(type => type.category))];
+
+const categoryOf = (mimetype) => (FILE_TYPES[mimetype] ? FILE_TYPES[mimetype].category : 'other');
+
+/**
+ * Reads the first bytes of a stream without losing them.
+ * Resolves to { head, stream } where stream replays the head followed by the rest of the original stream.
+ */
+const peekStream = async (source, length = SNIFF_LENGTH) => {
+  const iterator = source[Symbol.asyncIterator]();
+  const chunks = [];
+  let size = 0;
+  let done = false;
+
+  while (size < length) {
+    const { value, done: finished } = await iterator.next();
+    if (finished) {
+      done = true;
+      break;
+    }
+    chunks.push(value);
+    size += value.length;
+  }
+
+  const head = Buffer.concat(chunks);
+  async function* replay() {
+    if (head.length > 0) {
+      yield head;
+    }
+    while (!done) {
+      const { value, done: finished } = await iterator.next();
+      done = finished;
+      if (!finished) {
+        yield value;
+      }
+    }
+  }
+
+  return { head: head.subarray(0, length), stream: Readable.from(replay()) };
+};
+
+module.exports = {
+  SNIFF_LENGTH,
+  FILE_TYPES,
+  detectMimeType,
+  checkFileType,
+  CATEGORIES,
+  extensionFor,
+  categoryOf,
+  peekStream
+};
@@ -0,0 +1,16 @@
+const { v4: uuidv4 } = require('uuid');
+const { extensionFor } = require('./fileType');
+
+// Stored files get a random name. The extension comes from the verified content type, never from the client.
+const generateFilename = (mimetype) => `${uuidv4()}${extensionFor(mimetype)}`;
+
+// A UUID and an optional extension, as generated now or by earlier versions (which kept the client's extension).
+const GENERATED_FILENAME = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}(\.[A-Za-z0-9_-]+)?$/i;
+
+// Clients may only name files by their generated name, never by a storage key such as "blobs/..." or "variants/...".
+const isGeneratedFilename = (filename) => typeof filename === 'string' && GENERATED_FILENAME.test(filename);
+
+module.exports = {
+  generateFilename,
+  isGeneratedFilename
+};
@@ -0,0 +1,26 @@
+const fs = require('fs');
+const path = require('path');
+
+const readJsonFile = (filePath, fallback) => {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return fallback;
+    }
+    throw error;
+  }
+};
+
+// Writes to a temporary file first so a crash mid-write never leaves a truncated index behind.
+const writeJsonFile = (filePath, data) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tmpPath, filePath);
+};
+
+module.exports = {
+  readJsonFile,
+  writeJsonFile
+};
@@ -0,0 +1,38 @@
+/**
+ * Parses a single-range "Range: bytes=..." header against an object size.
+ * Returns { start, end } (inclusive), null when the header is absent or not a single byte range
+ * (the whole object should then be sent), or false when the range cannot be satisfied.
+ */
+const parseRange = (header, size) => {
+  if (typeof header !== 'string') {
+    return null;
+  }
+
+  const match = header.match(/^bytes=(\d*)-(\d*)$/);
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return null;
+  }
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    const suffixLength = parseInt(match[2], 10);
+    if (suffixLength === 0) {
+      return false;
+    }
+    start = Math.max(size - suffixLength, 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+  }
+
+  if (start >= size || start > end) {
+    return false;
+  }
+  return { start, end };
+};
+
+module.exports = {
+  parseRange
+};
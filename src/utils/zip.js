@@ -0,0 +1,193 @@
+const zlib = require('zlib');
+
+const LOCAL_HEADER = 0x04034b50;
+const DATA_DESCRIPTOR = 0x08074b50;
+const CENTRAL_HEADER = 0x02014b50;
+const ZIP64_END = 0x06064b50;
+const ZIP64_LOCATOR = 0x07064b50;
+const END = 0x06054b50;
+
+// Sizes and crc follow the data (bit 3) and names are UTF-8 (bit 11).
+const FLAGS = 0x0808;
+const MAX_32 = 0xffffffff;
+const MAX_16 = 0xffff;
+
+// zlib.crc32 only exists in recent Node versions; the table-driven fallback gives the same result.
+const CRC_TABLE = Array.from({ length: 256 }, (value, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = zlib.crc32 || ((data, value = 0) => {
+  let crc = value ^ MAX_32;
+  for (let i = 0; i < data.length; i += 1) {
+    crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ MAX_32) >>> 0;
+});
+
+// MS-DOS date and time, in local time, as the format expects; 1980 is the earliest it can hold.
+const dosDateTime = (date) => {
+  const d = date.getFullYear() < 1980 ? new Date(1980, 0, 1) : date;
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+    date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+  };
+};
+
+const localHeader = (name, modified, zip64) => {
+  // A ZIP64 entry announces 8-byte sizes in its data descriptor with an empty ZIP64 extra field.
+  const extra = zip64 ? Buffer.alloc(20) : Buffer.alloc(0);
+  if (zip64) {
+    extra.writeUInt16LE(0x0001, 0);
+    extra.writeUInt16LE(16, 2);
+  }
+  const header = Buffer.alloc(30);
+  header.writeUInt32LE(LOCAL_HEADER, 0);
+  header.writeUInt16LE(zip64 ? 45 : 20, 4);
+  header.writeUInt16LE(FLAGS, 6);
+  header.writeUInt16LE(0, 8);
+  header.writeUInt16LE(modified.time, 10);
+  header.writeUInt16LE(modified.date, 12);
+  header.writeUInt32LE(0, 14);
+  header.writeUInt32LE(zip64 ? MAX_32 : 0, 18);
+  header.writeUInt32LE(zip64 ? MAX_32 : 0, 22);
+  header.writeUInt16LE(name.length, 26);
+  header.writeUInt16LE(extra.length, 28);
+  return Buffer.concat([header, name, extra]);
+};
+
+const dataDescriptor = (crc, size, zip64) => {
+  const descriptor = Buffer.alloc(zip64 ? 24 : 16);
+  descriptor.writeUInt32LE(DATA_DESCRIPTOR, 0);
+  descriptor.writeUInt32LE(crc, 4);
+  if (zip64) {
+    descriptor.writeBigUInt64LE(BigInt(size), 8);
+    descriptor.writeBigUInt64LE(BigInt(size), 16);
+  } else {
+    descriptor.writeUInt32LE(size, 8);
+    descriptor.writeUInt32LE(size, 12);
+  }
+  return descriptor;
+};
+
+const centralHeader = ({ name, modified, crc, size, offset }) => {
+  // Values that do not fit in 32 bits move to the ZIP64 extra field, in this order.
+  const large = [size >= MAX_32 ? size : null, size >= MAX_32 ? size : null, offset >= MAX_32 ? offset : null].filter(value => value !== null);
+  const zip64 = large.length > 0;
+  const extra = Buffer.alloc(zip64 ? 4 + large.length * 8 : 0);
+  if (zip64) {
+    extra.writeUInt16LE(0x0001, 0);
+    extra.writeUInt16LE(large.length * 8, 2);
+    large.forEach((value, i) => extra.writeBigUInt64LE(BigInt(value), 4 + i * 8));
+  }
+
+  const header = Buffer.alloc(46);
+  header.writeUInt32LE(CENTRAL_HEADER, 0);
+  // Made by Unix (3), so the permissions in the external attributes are used.
+  header.writeUInt16LE((3 << 8) | (zip64 ? 45 : 20), 4);
+  header.writeUInt16LE(zip64 ? 45 : 20, 6);
+  header.writeUInt16LE(FLAGS, 8);
+  header.writeUInt16LE(0, 10);
+  header.writeUInt16LE(modified.time, 12);
+  header.writeUInt16LE(modified.date, 14);
+  header.writeUInt32LE(crc, 16);
+  header.writeUInt32LE(Math.min(size, MAX_32), 20);
+  header.writeUInt32LE(Math.min(size, MAX_32), 24);
+  header.writeUInt16LE(name.length, 28);
+  header.writeUInt16LE(extra.length, 30);
+  header.writeUInt16LE(0, 32);
+  header.writeUInt16LE(0, 34);
+  header.writeUInt16LE(0, 36);
+  header.writeUInt32LE((0o100644 << 16) >>> 0, 38);
+  header.writeUInt32LE(Math.min(offset, MAX_32), 42);
+  return Buffer.concat([header, name, extra]);
+};
+
+const endOfCentralDirectory = (count, size, offset) => {
+  const records = [];
+  if (count >= MAX_16 || size >= MAX_32 || offset >= MAX_32) {
+    const zip64End = Buffer.alloc(56);
+    zip64End.writeUInt32LE(ZIP64_END, 0);
+    zip64End.writeBigUInt64LE(44n, 4);
+    zip64End.writeUInt16LE((3 << 8) | 45, 12);
+    zip64End.writeUInt16LE(45, 14);
+    zip64End.writeBigUInt64LE(BigInt(count), 24);
+    zip64End.writeBigUInt64LE(BigInt(count), 32);
+    zip64End.writeBigUInt64LE(BigInt(size), 40);
+    zip64End.writeBigUInt64LE(BigInt(offset), 48);
+
+    const locator = Buffer.alloc(20);
+    locator.writeUInt32LE(ZIP64_LOCATOR, 0);
+    locator.writeBigUInt64LE(BigInt(offset + size), 8);
+    locator.writeUInt32LE(1, 16);
+    records.push(zip64End, locator);
+  }
+
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END, 0);
+  end.writeUInt16LE(Math.min(count, MAX_16), 8);
+  end.writeUInt16LE(Math.min(count, MAX_16), 10);
+  end.writeUInt32LE(Math.min(size, MAX_32), 12);
+  end.writeUInt32LE(Math.min(offset, MAX_32), 16);
+  records.push(end);
+  return Buffer.concat(records);
+};
+
+/**
+ * Generates a ZIP archive, chunk by chunk, from entries of the form
+ * { name, size, modifiedAt, open: async () => readable }. Entries are stored without compression
+ * and read one at a time, only as fast as the consumer takes the chunks, so neither the archive nor
+ * an entry is ever held in memory. The size of an entry must be known up front (it decides whether
+ * the entry needs ZIP64) and the generator throws when the content does not match it.
+ *
+ * onEntry(entry) is called once an entry's content has been handed out. Ending the generator early,
+ * as a pipeline does when its destination closes, destroys the stream of the entry being read.
+ */
+async function* createZip(entries, { onEntry = () => {} } = {}) {
+  const central = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const modified = dosDateTime(entry.modifiedAt || new Date());
+    const zip64 = entry.size >= MAX_32;
+    const entryOffset = offset;
+
+    const header = localHeader(name, modified, zip64);
+    offset += header.length;
+    yield header;
+
+    let crc = 0;
+    let size = 0;
+    const source = await entry.open();
+    for await (const chunk of source) {
+      crc = crc32(chunk, crc);
+      size += chunk.length;
+      offset += chunk.length;
+      yield chunk;
+    }
+    if (size !== entry.size) {
+      throw new Error(`${entry.name} has ${size} bytes instead of ${entry.size}`);
+    }
+
+    const descriptor = dataDescriptor(crc, size, zip64);
+    offset += descriptor.length;
+    yield descriptor;
+
+    central.push({ name, modified, crc, size, offset: entryOffset });
+    onEntry(entry);
+  }
+
+  const directory = Buffer.concat(central.map(centralHeader));
+  yield directory;
+  yield endOfCentralDirectory(central.length, directory.length, offset);
+}
+
+module.exports = {
+  createZip,
+  crc32
+};
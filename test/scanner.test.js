@@ -0,0 +1,156 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const { Readable } = require('stream');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Services read their configuration once, when they are first required.
+process.env.DATA_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'bucket-api-test-'));
+process.env.STORAGE_BACKEND = 'memory';
+process.env.METADATA_STORE = 'memory';
+process.env.LOG_LEVEL = 'error';
+
+const environment = require('../src/config/environment');
+const { scanWithClamd, pingClamd, scanContent } = require('../src/services/scanner');
+const { storeContent, getBlob } = require('../src/services/contentStore');
+const { completeUpload } = require('../src/services/uploadService');
+const { metadataStore } = require('../src/services/metadataStore');
+
+const MALWARE = 'fake-malware-marker';
+const DAEMON_MAX_LENGTH = 1024;
+
+/**
+ * A stand-in for clamd speaking the zPING and zINSTREAM commands. Content containing MALWARE is
+ * reported as infected, and streams over DAEMON_MAX_LENGTH are refused like clamd's StreamMaxLength.
+ */
+const startFakeClamd = () => new Promise(resolve => {
+  const server = net.createServer(socket => {
+    let buffer = Buffer.alloc(0);
+    let command = null;
+    const chunks = [];
+    let received = 0;
+
+    socket.on('data', data => {
+      buffer = Buffer.concat([buffer, data]);
+      if (!command) {
+        const end = buffer.indexOf(0);
+        if (end === -1) {
+          return;
+        }
+        command = buffer.subarray(0, end).toString();
+        buffer = buffer.subarray(end + 1);
+        if (command === 'zPING') {
+          return socket.end('PONG\0');
+        }
+      }
+
+      while (buffer.length >= 4) {
+        const length = buffer.readUInt32BE(0);
+        if (length === 0) {
+          server.scans += 1;
+          const content = Buffer.concat(chunks).toString();
+          return socket.end(content.includes(MALWARE) ? 'stream: Fake-Signature FOUND\0' : 'stream: OK\0');
+        }
+        if (buffer.length < 4 + length) {
+          return;
+        }
+        chunks.push(buffer.subarray(4, 4 + length));
+        received += length;
+        buffer = buffer.subarray(4 + length);
+        if (received > DAEMON_MAX_LENGTH) {
+          return socket.end('INSTREAM size limit exceeded. ERROR\0');
+        }
+      }
+    });
+  });
+  server.scans = 0;
+  server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+const streamOf = (text) => Readable.from([Buffer.from(text)]);
+
+let clamd;
+let options;
+
+before(async () => {
+  clamd = await startFakeClamd();
+  options = { host: '127.0.0.1', port: clamd.address().port, timeout: 2000 };
+  environment.scan.clamdHost = options.host;
+  environment.scan.clamdPort = options.port;
+});
+
+after(async () => {
+  await new Promise(resolve => clamd.close(resolve));
+  fs.rmSync(process.env.DATA_PATH, { recursive: true, force: true });
+});
+
+test('clean content is reported clean', async () => {
+  assert.deepEqual(await scanWithClamd(streamOf('hello'), options), { status: 'clean', signature: null });
+});
+
+test('infected content is reported with its signature', async () => {
+  assert.deepEqual(
+    await scanWithClamd(streamOf(`header ${MALWARE} trailer`), options),
+    { status: 'infected', signature: 'Fake-Signature' }
+  );
+});
+
+test('a stream over the daemon limit fails as SCAN_UNAVAILABLE', async () => {
+  await assert.rejects(
+    scanWithClamd(streamOf('x'.repeat(DAEMON_MAX_LENGTH + 1)), options),
+    { code: 'SCAN_UNAVAILABLE', message: /INSTREAM size limit exceeded/ }
+  );
+});
+
+test('an unreachable daemon fails as SCAN_UNAVAILABLE', async () => {
+  const closed = net.createServer();
+  await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+  const { port } = closed.address();
+  await new Promise(resolve => closed.close(resolve));
+
+  await assert.rejects(scanWithClamd(streamOf('hello'), { ...options, port }), { code: 'SCAN_UNAVAILABLE' });
+  await assert.rejects(pingClamd({ ...options, port }), { code: 'SCAN_UNAVAILABLE' });
+});
+
+test('the daemon answers a ping', async () => {
+  await pingClamd(options);
+});
+
+test('content over SCAN_MAX_SIZE is skipped without reaching the daemon', async () => {
+  const { sha256 } = await storeContent(streamOf('y'.repeat(DAEMON_MAX_LENGTH + 1)));
+  const scans = clamd.scans;
+  environment.scan.maxSize = DAEMON_MAX_LENGTH;
+  try {
+    const verdict = await scanContent(sha256);
+    assert.equal(verdict.status, 'skipped');
+    assert.equal(clamd.scans, scans);
+    assert.equal(getBlob(sha256).scan, undefined);
+  } finally {
+    environment.scan.maxSize = 25 * 1024 * 1024;
+  }
+});
+
+test('a new upload of quarantined content is rejected even with scanning off', async () => {
+  const text = `${MALWARE} ${Date.now()}`;
+  const first = await storeContent(streamOf(text));
+  const verdict = await scanContent(first.sha256);
+  assert.equal(verdict.status, 'infected');
+  assert.match(verdict.storageKey, /^quarantine\//);
+
+  // SCAN_MODE is left at its default, off.
+  const second = await storeContent(streamOf(text));
+  assert.equal(second.deduplicated, true);
+  await assert.rejects(completeUpload({
+    ...second,
+    filename: 'again.txt',
+    originalname: 'again.txt',
+    mimetype: 'text/plain',
+    ownerId: 'test'
+  }), { code: 'FILE_INFECTED' });
+
+  const record = metadataStore.get('again.txt');
+  assert.equal(record.scan.status, 'infected');
+  assert.equal(record.storageKey, verdict.storageKey);
+});
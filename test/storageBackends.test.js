@@ -0,0 +1,219 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { Readable } = require('stream');
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const LocalStorage = require('../src/storage/localStorage');
+const MemoryStorage = require('../src/storage/memoryStorage');
+const S3Storage = require('../src/storage/s3Storage');
+
+const BUCKET = 'test-bucket';
+const LIST_PAGE_SIZE = 2;
+
+const escapeXml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+/**
+ * A stand-in for an S3-compatible service with path-style URLs: PUT, GET (with Range), HEAD and DELETE
+ * of objects, and ListObjectsV2 paged LIST_PAGE_SIZE keys at a time so continuation tokens are followed.
+ * Requests without an AWS Signature Version 4 authorization header are refused.
+ */
+const startStubS3 = () => new Promise(resolve => {
+  const objects = new Map();
+
+  const server = http.createServer(async (req, res) => {
+    if (!/^AWS4-HMAC-SHA256 Credential=/.test(req.headers.authorization || '')) {
+      res.writeHead(403);
+      return res.end('<Error><Message>Missing signature</Message></Error>');
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    const [bucket, ...segments] = url.pathname.slice(1).split('/');
+    const key = segments.map(decodeURIComponent).join('/');
+    if (bucket !== BUCKET) {
+      res.writeHead(404);
+      return res.end('<Error><Message>NoSuchBucket</Message></Error>');
+    }
+
+    if (req.method === 'GET' && !key) {
+      const prefix = url.searchParams.get('prefix') || '';
+      const keys = [...objects.keys()].filter(name => name.startsWith(prefix)).sort();
+      const offset = parseInt(url.searchParams.get('continuation-token') || '0', 10);
+      const page = keys.slice(offset, offset + LIST_PAGE_SIZE);
+      const truncated = offset + LIST_PAGE_SIZE < keys.length;
+      res.writeHead(200, { 'content-type': 'application/xml' });
+      return res.end([
+        '<ListBucketResult>',
+        ...page.map(name => `<Contents><Key>${escapeXml(name)}</Key><Size>${objects.get(name).data.length}</Size>` +
+          `<LastModified>${objects.get(name).modifiedAt.toISOString()}</LastModified></Contents>`),
+        `<IsTruncated>${truncated}</IsTruncated>`,
+        truncated ? `<NextContinuationToken>${offset + LIST_PAGE_SIZE}</NextContinuationToken>` : '',
+        '</ListBucketResult>'
+      ].join(''));
+    }
+
+    if (req.method === 'PUT') {
+      const chunks = [];
+      for await (const chunk of req) {
+        chunks.push(chunk);
+      }
+      objects.set(key, { data: Buffer.concat(chunks), modifiedAt: new Date() });
+      res.writeHead(200);
+      return res.end();
+    }
+
+    const object = objects.get(key);
+    if (req.method === 'DELETE') {
+      objects.delete(key);
+      res.writeHead(204);
+      return res.end();
+    }
+    if (!object) {
+      res.writeHead(404);
+      return res.end(req.method === 'HEAD' ? undefined : '<Error><Message>NoSuchKey</Message></Error>');
+    }
+
+    const headers = { 'last-modified': object.modifiedAt.toUTCString() };
+    const range = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || '');
+    if (req.method === 'GET' && range) {
+      const start = parseInt(range[1], 10);
+      const end = range[2] ? parseInt(range[2], 10) : object.data.length - 1;
+      res.writeHead(206, { ...headers, 'content-length': end - start + 1 });
+      return res.end(object.data.subarray(start, end + 1));
+    }
+    res.writeHead(200, { ...headers, 'content-length': object.data.length });
+    res.end(req.method === 'HEAD' ? undefined : object.data);
+  });
+
+  server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+const streamOf = (text) => Readable.from([Buffer.from(text)]);
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+const listedKeys = async (storage, prefix) => (await storage.list(prefix)).map(object => object.key).sort();
+
+const drivers = {
+  local: {
+    setup: async () => {
+      const root = fs.mkdtempSync(path.join(os.tmpdir(), 'bucket-api-local-'));
+      return { storage: new LocalStorage(root), teardown: () => fs.rmSync(root, { recursive: true, force: true }) };
+    }
+  },
+  memory: {
+    setup: async () => ({ storage: new MemoryStorage(), teardown: () => {} })
+  },
+  s3: {
+    setup: async () => {
+      const server = await startStubS3();
+      const storage = new S3Storage({
+        endpoint: `http://127.0.0.1:${server.address().port}`,
+        bucket: BUCKET,
+        accessKeyId: 'test',
+        secretAccessKey: 'test'
+      });
+      return { storage, teardown: () => new Promise(resolve => server.close(resolve)) };
+    }
+  }
+};
+
+// Every driver must behave the same way through the StorageBackend interface.
+for (const [name, driver] of Object.entries(drivers)) {
+  describe(`${name} storage`, () => {
+    let storage;
+    let teardown;
+
+    before(async () => {
+      ({ storage, teardown } = await driver.setup());
+    });
+
+    after(async () => {
+      await teardown();
+    });
+
+    test('put stores a stream and resolves to its size', async () => {
+      assert.deepEqual(await storage.put('blobs/ab/hello', streamOf('hello world')), { size: 11 });
+      assert.equal(await readAll(await storage.get('blobs/ab/hello')), 'hello world');
+    });
+
+    test('put replaces an existing object', async () => {
+      await storage.put('replaced', streamOf('first version'));
+      await storage.put('replaced', streamOf('second'));
+      assert.equal(await readAll(await storage.get('replaced')), 'second');
+      assert.equal((await storage.stat('replaced')).size, 6);
+    });
+
+    test('put refuses invalid keys', async () => {
+      for (const key of ['../escape', 'a//b', '.hidden', '/absolute', '']) {
+        await assert.rejects(storage.put(key, streamOf('x')), { name: 'ValidationError' }, key);
+      }
+    });
+
+    test('get reads inclusive byte ranges', async () => {
+      await storage.put('range', streamOf('0123456789'));
+      assert.equal(await readAll(await storage.get('range', { start: 2, end: 5 })), '2345');
+      assert.equal(await readAll(await storage.get('range', { start: 7 })), '789');
+      assert.equal(await readAll(await storage.get('range', { start: 0, end: 0 })), '0');
+    });
+
+    test('get rejects with ENOENT for a missing object', async () => {
+      await assert.rejects(storage.get('missing/object'), { code: 'ENOENT' });
+    });
+
+    test('stat resolves to the size and modification date, or null when missing', async () => {
+      await storage.put('stat/me', streamOf('12345'));
+      const stats = await storage.stat('stat/me');
+      assert.equal(stats.size, 5);
+      assert.ok(stats.modifiedAt instanceof Date && !Number.isNaN(stats.modifiedAt.getTime()));
+      assert.equal(await storage.stat('stat/missing'), null);
+    });
+
+    test('delete reports whether an object was removed', async () => {
+      await storage.put('deleted/object', streamOf('bye'));
+      assert.equal(await storage.delete('deleted/object'), true);
+      assert.equal(await storage.stat('deleted/object'), null);
+      assert.equal(await storage.delete('deleted/object'), false);
+      assert.deepEqual(await listedKeys(storage, 'deleted/'), []);
+    });
+
+    test('list returns every key starting with the prefix', async () => {
+      await Promise.all(['list/a.jpg', 'list/a.jpg.bak', 'list/b/c', 'list/b/d/e', 'listing', 'other/list']
+        .map(key => storage.put(key, streamOf(key))));
+
+      assert.deepEqual(await listedKeys(storage, 'list/'), ['list/a.jpg', 'list/a.jpg.bak', 'list/b/c', 'list/b/d/e']);
+      assert.deepEqual(await listedKeys(storage, 'list/a.jpg'), ['list/a.jpg', 'list/a.jpg.bak']);
+      assert.deepEqual(await listedKeys(storage, 'list/b/'), ['list/b/c', 'list/b/d/e']);
+      assert.deepEqual(await listedKeys(storage, 'list'), ['list/a.jpg', 'list/a.jpg.bak', 'list/b/c', 'list/b/d/e', 'listing']);
+      assert.deepEqual(await listedKeys(storage, 'nothing/here/'), []);
+
+      const [entry] = await storage.list('list/b/c');
+      assert.equal(entry.size, 'list/b/c'.length);
+      assert.ok(entry.modifiedAt instanceof Date);
+    });
+
+    test('list without a prefix returns every key', async () => {
+      const keys = await listedKeys(storage);
+      assert.ok(keys.includes('blobs/ab/hello'));
+      assert.ok(keys.includes('listing'));
+    });
+
+    test('usage resolves to null or to the size and free space of the volume', async () => {
+      const usage = await storage.usage();
+      if (usage !== null) {
+        assert.equal(typeof usage.size, 'number');
+        assert.equal(typeof usage.free, 'number');
+      }
+    });
+  });
+}